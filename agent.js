@@ -0,0 +1,259 @@
+import { TOOL_CREATION_TOOL_DEF } from './toolManager.js';
+import { validateToolArguments } from './schemaValidation.js';
+import {
+    createToolCallingAdapter,
+    isToolsUnsupportedError,
+    markPromptToolCalling,
+    PromptToolCalling,
+    resolveToolCallingMode,
+} from './toolCalling.js';
+
+// --- Configuration ---
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant. Use the available tools when necessary.';
+const DEFAULT_MAX_STEPS = 8; // LLM calls per user message
+const DEFAULT_MAX_TOOLS = 5; // Retrieved tools offered to the LLM (plus the core tool)
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2; // Invalid tool-call arguments sent back to the LLM per user message
+
+// --- Agent ---
+// Runs a tool-calling loop: the LLM is called repeatedly, every tool call in a response is executed
+// and its result sent back as a `role: 'tool'` message, until the LLM answers or the budget runs out.
+// The conversation history is kept across process() calls.
+export class Agent {
+    // options.maxSteps: max LLM calls per process() call
+    // options.maxTokens: optional total token budget per process() call (from the API's usage reports)
+    // options.parallelToolCalls: run the tool calls of one response concurrently (default true)
+    // options.maxTools: number of retrieved tools offered to the LLM
+    // options.maxRepairAttempts: how many unparseable/invalid tool-call arguments the LLM may fix per process() call
+    // options.systemPrompt: system message that starts the conversation
+    // options.toolCalling: 'native', 'prompt' or 'auto' (default), or a per-model map (see toolCalling.js)
+    constructor(llmClient, toolMgr, options = {}) {
+        this.llmClient = llmClient;
+        this.toolManager = toolMgr;
+        this.maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+        this.maxTokens = options.maxTokens ?? null;
+        this.parallelToolCalls = options.parallelToolCalls ?? true;
+        this.maxTools = options.maxTools ?? DEFAULT_MAX_TOOLS;
+        this.maxRepairAttempts = options.maxRepairAttempts ?? DEFAULT_MAX_REPAIR_ATTEMPTS;
+        this.systemPrompt = options.systemPrompt ?? DEFAULT_SYSTEM_PROMPT;
+        this.toolCalling = options.toolCalling;
+        this.lastError = null; // The error that made the last process() call give up, if any
+        resolveToolCallingMode(this.toolCalling, llmClient?.model); // Fail early on an invalid config
+        this.reset();
+    }
+
+    // Forget the conversation so far
+    reset() {
+        this.history = [{ role: 'system', content: this.systemPrompt }];
+    }
+
+    async process(userInput) {
+        console.log(`\n[Agent] Processing: "${userInput}"`);
+        this.lastError = null;
+        const historyLength = this.history.length;
+        this.history.push({ role: 'user', content: userInput });
+
+        try {
+            // 1. Get contextually relevant tools (including core tool creator)
+            let availableTools = await this.toolManager.getAvailableTools(userInput, this.maxTools, { executableOnly: true });
+            console.log(`[Agent] Available tools: ${availableTools.map(t => t.name).join(', ')}`);
+
+            let tokensUsed = 0;
+            let repairsLeft = this.maxRepairAttempts;
+            for (let step = 1; step <= this.maxSteps; step++) {
+                // 2. Call LLM with the conversation so far and the available tools
+                const { response, content, toolCalls } = await this._complete(this._formatTools(availableTools));
+                tokensUsed += response.usage?.total_tokens ?? 0;
+
+                this.history.push({
+                    role: 'assistant',
+                    content,
+                    ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+                });
+
+                // 3. No tool call: the LLM's text response is the answer
+                if (toolCalls.length === 0) {
+                    console.log(`[Agent] LLM provided final answer after ${step} step(s).`);
+                    return content;
+                }
+
+                // 4. Execute every requested tool and feed the results back
+                console.log(`[Agent] Step ${step}: LLM requested ${toolCalls.length} tool call(s): ${toolCalls.map(c => c.function.name).join(', ')}`);
+                const results = this.parallelToolCalls
+                    ? await Promise.all(toolCalls.map(toolCall => this._executeToolCall(toolCall, availableTools)))
+                    : await this._executeSequentially(toolCalls, availableTools);
+
+                results.forEach((result, i) => {
+                    this.history.push({ role: 'tool', tool_call_id: toolCalls[i].id, content: result.content });
+                });
+
+                // Invalid arguments go back to the LLM as errors, but only a bounded number of times
+                const invalidCalls = results.filter(result => result.invalidArguments);
+                repairsLeft -= invalidCalls.length;
+                if (repairsLeft < 0) {
+                    console.warn(`[Agent] Giving up after repeated invalid tool arguments: ${invalidCalls[0].content}`);
+                    return `Sorry, I kept producing invalid tool arguments. Last error: ${invalidCalls[0].content}`;
+                }
+
+                // 5. Make newly created tools callable in the same turn
+                const createdTools = results.map(result => result.createdTool).filter(Boolean);
+                if (createdTools.length > 0) {
+                    availableTools = await this.toolManager.getAvailableTools(userInput, this.maxTools, { executableOnly: true });
+                    for (const tool of createdTools) {
+                        if (!availableTools.some(t => t.id === tool.id)) {
+                            availableTools.push(tool);
+                        }
+                    }
+                    console.log(`[Agent] Refreshed tools: ${availableTools.map(t => t.name).join(', ')}`);
+                }
+
+                if (this.maxTokens && tokensUsed >= this.maxTokens) {
+                    console.warn(`[Agent] Token budget of ${this.maxTokens} exhausted (${tokensUsed} used).`);
+                    return "Sorry, I ran out of my token budget before finishing this request.";
+                }
+            }
+
+            console.warn(`[Agent] Step limit of ${this.maxSteps} reached without a final answer.`);
+            return "Sorry, I couldn't finish this request within the allowed number of steps.";
+
+        } catch (error) {
+            console.error("[Agent] Error during LLM interaction:", error);
+            this.lastError = error;
+            // Drop the incomplete turn so the history stays valid for the next request
+            this.history.length = historyLength;
+            return "Sorry, I encountered an error processing your request.";
+        }
+    }
+
+    // Call the LLM with the history and tools, using the configured tool calling protocol.
+    // Returns { response, content, toolCalls }, with toolCalls in the OpenAI format either way.
+    // In 'auto' mode, a model that rejects `tools` or writes its tool calls as text switches to the prompt protocol.
+    async _complete(toolsForLLM) {
+        const model = this.llmClient.model;
+        const mode = resolveToolCallingMode(this.toolCalling, model);
+        const adapter = createToolCallingAdapter(mode);
+        const toolNames = toolsForLLM.map(tool => tool.function.name);
+
+        let response;
+        try {
+            response = await this.llmClient.chat.completions.create({ model, ...adapter.prepareRequest(this.history, toolsForLLM) });
+        } catch (error) {
+            if (mode === 'auto' && toolsForLLM.length > 0 && isToolsUnsupportedError(error)) {
+                markPromptToolCalling(model);
+                return this._complete(toolsForLLM);
+            }
+            throw error;
+        }
+
+        const message = response.choices[0].message;
+        const parsed = adapter.parseResponse(message, { toolNames });
+        if (mode === 'auto' && parsed.toolCalls.length === 0) {
+            // Models that ignore `tools` often print the call as text (fenced JSON or a <tool_call> block) instead
+            const textCalls = new PromptToolCalling().parseResponse(message, { toolNames });
+            if (textCalls.toolCalls.length > 0) {
+                markPromptToolCalling(model);
+                return { response, ...textCalls };
+            }
+        }
+        return { response, ...parsed };
+    }
+
+    // Map to OpenAI tool format
+    _formatTools(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+            },
+        }));
+    }
+
+    async _executeSequentially(toolCalls, availableTools) {
+        const results = [];
+        for (const toolCall of toolCalls) {
+            results.push(await this._executeToolCall(toolCall, availableTools));
+        }
+        return results;
+    }
+
+    // Execute one tool call. Returns { content } for the `role: 'tool'` message, plus { createdTool }
+    // when a new tool was created or { invalidArguments } when the arguments need fixing.
+    // Failures are reported to the LLM, not thrown.
+    async _executeToolCall(toolCall, availableTools) {
+        const toolName = toolCall.function.name;
+        const tool = toolName === TOOL_CREATION_TOOL_DEF.name
+            ? TOOL_CREATION_TOOL_DEF
+            : availableTools.find(t => t.name === toolName);
+        if (!tool) {
+            console.error(`[Agent] LLM requested unknown tool: ${toolName}`);
+            return { content: `Error: tool '${toolName}' is not available.` };
+        }
+
+        let parsedArgs;
+        try {
+            parsedArgs = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (parseError) {
+            return {
+                content: `Error: could not parse arguments for '${toolName}' as JSON: ${parseError.message}. Call the tool again with valid JSON arguments.`,
+                invalidArguments: true,
+            };
+        }
+
+        // Validate against the tool's schema before executing anything (applies defaults, coerces types)
+        const validation = validateToolArguments(tool.parameters, parsedArgs);
+        if (!validation.valid) {
+            return {
+                content: `Error: invalid arguments for '${toolName}': ${validation.errors.join('; ')}. Call the tool again with corrected arguments.`,
+                invalidArguments: true,
+            };
+        }
+        const toolArgs = validation.args;
+
+        console.log(`[Agent] Executing tool: ${toolName} with args:`, toolArgs);
+
+        if (toolName === TOOL_CREATION_TOOL_DEF.name) {
+            // Execute the special tool creation tool
+            const result = await this.toolManager.executeToolCreation(
+                toolArgs.task_description,
+                toolArgs.suggested_name
+            );
+            if (result.error) {
+                console.error(`[Agent] Failed to create tool: ${result.error}`);
+                return { content: `Error: ${result.error}` };
+            }
+            // The tool manager may have reused or updated an existing tool instead of storing a new one
+            const { creationOutcome, ...tool } = result;
+            const action = creationOutcome?.action || 'created';
+            const summary = {
+                created: 'Created tool',
+                reused: 'An existing tool already covers this, reuse',
+                extended: 'Extended existing tool',
+                new_version: 'Stored a new version of existing tool',
+            }[action];
+            console.log(`[Agent] Tool creation result for '${tool.name}': ${action} (${tool.status})`);
+            if (tool.verified === false) {
+                // The examples couldn't run (e.g. the policy refused them), so the tool stays unverified
+                return { content: `Error: tool '${tool.name}' was created but could not be verified and is not available. ${tool.reason}` };
+            }
+            if (tool.status !== 'active') {
+                // Failed verification: the tool is stored for inspection but must not be called
+                const failures = (tool.verification?.failures || []).map(f => `args ${JSON.stringify(f.args)}: ${f.error}`).join('; ');
+                return { content: `Error: tool '${tool.name}' was created but failed its example tests and is not available. ${failures}` };
+            }
+            return {
+                content: `${summary} '${tool.name}': ${tool.description} It is available to call.`,
+                createdTool: tool,
+            };
+        }
+
+        // Execute a generated tool in the sandbox
+        const result = await this.toolManager.executeTool(tool.id, toolArgs);
+        if (result.error) {
+            console.error(`[Agent] Tool execution failed: ${result.error}`);
+            return { content: `Error: ${result.error}` };
+        }
+        console.log(`[Agent] Tool '${toolName}' returned:`, result.result);
+        return { content: JSON.stringify(result.result) };
+    }
+}
@@ -0,0 +1,27 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// --- Configuration ---
+const DEFAULT_AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || "./audit.jsonl";
+
+// --- Audit Log ---
+// Append-only record of policy decisions (see policy.js), one JSON object per line:
+// { timestamp, action, decision, outcome, tool: { id, name, type, capabilities }, reasons, args? }
+// `outcome` is 'allowed', 'denied', 'approved' or 'rejected'. The file is only ever appended to.
+export class FileAuditLog {
+    constructor({ filePath = DEFAULT_AUDIT_LOG_PATH } = {}) {
+        this.filePath = path.resolve(filePath);
+        this._writeQueue = Promise.resolve();
+    }
+
+    // Resolves once the entry is on disk. Entries are written in the order they were appended.
+    async append(entry) {
+        const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`;
+        const write = this._writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, line, 'utf8');
+        });
+        this._writeQueue = write.catch(() => {}); // A failed write is reported to its caller only
+        return write;
+    }
+}
@@ -0,0 +1,249 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// --- Configuration ---
+// CASSETTE_MODE selects the mode ('record' or 'replay'), CASSETTE_PATH the file
+export const CASSETTE_MODES = ['record', 'replay'];
+const DEFAULT_CASSETTE_PATH = process.env.CASSETTE_PATH || "./cassette.jsonl";
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const PLACEHOLDER_PATTERN = /<id:(\d+)>/g;
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})/g;
+
+export class CassetteMissError extends Error {
+    constructor(message, { kind, key }) {
+        super(message);
+        this.name = 'CassetteMissError';
+        this.kind = kind;
+        this.key = key;
+    }
+}
+
+// --- Cassettes ---
+// Record/replay for the LLM client and the embedding provider, so agent sessions can be reproduced
+// offline. In 'record' mode every request goes to the real client and is saved with its response (or
+// error); in 'replay' mode the recorded response is returned and nothing goes over the network.
+// A replayed request without a recording throws a CassetteMissError.
+//
+// Requests are matched by a hash of their normalized form: object keys sorted, UUIDs replaced by
+// placeholders numbered in order of appearance (<id:1>, <id:2>, ...) and ISO timestamps ignored, so
+// the random tool ids of a new run still match. UUIDs in a recorded response are stored as the same
+// placeholders and replayed as the ids of the current run. Identical requests are replayed in the
+// order they were recorded; once those run out, the last response repeats.
+//
+// The file starts with a header naming the recorded embedder, followed by one interaction per line:
+//   { "embedder": id }
+//   { "key", "kind": "chat" | "embedding", "request", "responses": [{ "response" } | { "error": { message, status } }] }
+export class Cassette {
+    constructor({ filePath = DEFAULT_CASSETTE_PATH, mode = 'replay' } = {}) {
+        if (!CASSETTE_MODES.includes(mode)) {
+            throw new Error(`Unknown cassette mode '${mode}'. Expected one of: ${CASSETTE_MODES.join(', ')}.`);
+        }
+        this.filePath = path.resolve(filePath);
+        this.mode = mode;
+        this.interactions = new Map(); // key -> interaction, in recording order
+        this.misses = []; // { kind, key } of replayed requests that had no recording
+        this.embedderId = null; // Id of the recorded embedding provider, read from the file on replay
+        this._replayCounts = new Map(); // key -> responses served so far
+        this._loaded = null;
+        this._writeQueue = Promise.resolve();
+    }
+
+    // Wrap an OpenAI-style client (see llmClient.js). Only chat.completions.create is recorded.
+    wrapLlmClient(llmClient) {
+        return {
+            model: llmClient.model,
+            baseURL: llmClient.baseURL,
+            chat: { completions: { create: (request) => this._play('chat', request, () => llmClient.chat.completions.create(request)) } },
+        };
+    }
+
+    // Wrap an embedding provider (see embeddings.js). Texts are recorded one by one, so batching doesn't matter.
+    // On replay the wrapped provider is never called and the recorded one stands in for it (see replayEmbedder).
+    wrapEmbedder(embedder) {
+        if (this.mode === 'replay') {
+            return this.replayEmbedder(embedder?.id);
+        }
+        this.embedderId = embedder.id;
+        return {
+            id: embedder.id,
+            generate: async (texts) => {
+                let vectors, failure;
+                try {
+                    vectors = await embedder.generate(texts);
+                } catch (error) {
+                    failure = error;
+                }
+                return Promise.all(texts.map((text, i) => this._play('embedding', { model: embedder.id, input: text }, async () => {
+                    if (failure) throw failure;
+                    return vectors[i];
+                })));
+            },
+        };
+    }
+
+    // The embedder of the recorded session, so replay doesn't depend on the local embedding setup (e.g. whether
+    // OPENAI_API_KEY is set). Its `id` is the recorded one once load() has resolved; until then, or if the
+    // cassette doesn't name one, it is `fallbackId`.
+    replayEmbedder(fallbackId = null) {
+        const cassette = this;
+        const embedder = {
+            get id() {
+                return cassette.embedderId ?? fallbackId;
+            },
+            generate: async (texts) => {
+                await cassette.load();
+                return Promise.all(texts.map(text => cassette._play('embedding', { model: embedder.id, input: text })));
+            },
+        };
+        return embedder;
+    }
+
+    // The embedder for an entry point: on replay the recorded one (`createProvider` is never called), otherwise
+    // `createProvider()` wrapped for recording
+    createEmbedder(createProvider) {
+        return this.mode === 'replay' ? this.replayEmbedder() : this.wrapEmbedder(createProvider());
+    }
+
+    // Resolves once every recorded interaction is on disk (write errors are logged, not thrown)
+    async flush() {
+        await this._writeQueue.catch(() => {});
+    }
+
+    async _play(kind, request, send) {
+        await this.load();
+        const ids = new Map(); // UUID -> placeholder, shared by the request and its response
+        const normalizedRequest = normalize(request, ids);
+        const key = hashRequest(kind, normalizedRequest);
+
+        if (this.mode === 'replay') {
+            const interaction = this.interactions.get(key);
+            if (!interaction) {
+                this.misses.push({ kind, key });
+                const message = `No recording for this ${kind} request in cassette '${this.filePath}' (key ${key}). `
+                    + `Record it again with CASSETTE_MODE=record. Request: ${JSON.stringify(normalizedRequest).slice(0, 500)}`;
+                console.error(`[Cassette] ${message}`);
+                throw new CassetteMissError(message, { kind, key });
+            }
+            const count = this._replayCounts.get(key) || 0;
+            this._replayCounts.set(key, count + 1);
+            const entry = interaction.responses[Math.min(count, interaction.responses.length - 1)];
+            if (entry.error) {
+                throw Object.assign(new Error(entry.error.message), entry.error.status ? { status: entry.error.status } : {});
+            }
+            return restoreIds(entry.response, new Map([...ids].map(([id, placeholder]) => [placeholder, id])));
+        }
+
+        let entry;
+        try {
+            entry = { response: normalize(await send(), ids) };
+        } catch (error) {
+            // Errors are part of the session too, e.g. a model rejecting `tools` (see toolCalling.js)
+            entry = { error: { message: error.message, ...(error.status ? { status: error.status } : {}) } };
+            this._record(kind, key, normalizedRequest, entry);
+            throw error;
+        }
+        this._record(kind, key, normalizedRequest, entry);
+        return restoreIds(entry.response, new Map([...ids].map(([id, placeholder]) => [placeholder, id])));
+    }
+
+    _record(kind, key, request, entry) {
+        const interaction = this.interactions.get(key) || { key, kind, request, responses: [] };
+        interaction.responses.push(entry);
+        this.interactions.set(key, interaction);
+        this._persist();
+    }
+
+    // Replay reads the file once; recording starts a new one. Called by the first request, or earlier to
+    // learn the recorded embedder id.
+    load() {
+        this._loaded ??= (async () => {
+            if (this.mode === 'record') {
+                console.log(`Recording LLM and embedding calls to '${this.filePath}'.`);
+                return;
+            }
+            let content;
+            try {
+                content = await fs.readFile(this.filePath, 'utf8');
+            } catch (error) {
+                throw new Error(`Failed to read cassette '${this.filePath}': ${error.message}`);
+            }
+            try {
+                for (const line of content.split('\n').filter(line => line.trim())) {
+                    const interaction = JSON.parse(line);
+                    if (interaction.key === undefined) {
+                        this.embedderId = interaction.embedder ?? null; // The header
+                        continue;
+                    }
+                    this.interactions.set(interaction.key, interaction);
+                }
+            } catch (parseError) {
+                throw new Error(`Failed to parse cassette '${this.filePath}': ${parseError.message}`);
+            }
+            console.log(`Replaying ${this.interactions.size} recorded requests from '${this.filePath}'.`);
+        })();
+        return this._loaded;
+    }
+
+    _persist() {
+        const header = this.embedderId !== null ? [{ embedder: this.embedderId }] : [];
+        const content = [...header, ...this.interactions.values()].map(line => JSON.stringify(line)).join('\n') + '\n';
+        // Serialize writes so concurrent calls can't interleave
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        });
+        this._writeQueue.catch(error => console.error(`Error writing cassette '${this.filePath}':`, error));
+    }
+}
+
+// A Cassette configured by CASSETTE_MODE and CASSETTE_PATH, or null when CASSETTE_MODE isn't set
+export function createCassette({ mode = process.env.CASSETTE_MODE, filePath } = {}) {
+    return mode ? new Cassette({ mode, ...(filePath ? { filePath } : {}) }) : null;
+}
+
+// --- Normalization ---
+// JSON copy with sorted keys, no undefined values and UUIDs replaced by placeholders (recorded in `ids`)
+function normalize(value, ids) {
+    if (typeof value === 'string') {
+        return value.replace(UUID_PATTERN, (uuid) => {
+            const id = uuid.toLowerCase();
+            if (!ids.has(id)) ids.set(id, `<id:${ids.size + 1}>`);
+            return ids.get(id);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => (item === undefined ? null : normalize(item, ids)));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => [key, normalize(value[key], ids)]));
+    }
+    return value;
+}
+
+// Placeholders back to the current run's UUIDs; placeholders the request didn't have get fresh ones
+function restoreIds(value, placeholders) {
+    if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+            if (!placeholders.has(placeholder)) placeholders.set(placeholder, uuidv4());
+            return placeholders.get(placeholder);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => restoreIds(item, placeholders));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreIds(item, placeholders)]));
+    }
+    return value;
+}
+
+function hashRequest(kind, normalizedRequest) {
+    const text = JSON.stringify(normalizedRequest).replace(TIMESTAMP_PATTERN, '<timestamp>');
+    return crypto.createHash('sha256').update(`${kind}\n${text}`).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,110 @@
+import OpenAI from 'openai';
+
+// --- Embedding Provider Interface ---
+// ToolManager embeds tool descriptions and queries through a provider object:
+//   id                 -> identifies the model/configuration; stored with every vector so a change can be detected
+//   generate(texts)    -> Promise<number[][]>, one vector per text
+// `generate` has the same shape as a ChromaDB embedding function, so providers can be handed to Chroma as well.
+
+// --- Configuration ---
+const DEFAULT_OPENAI_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_HASHING_DIMENSION = 512;
+const OPENAI_BATCH_SIZE = 100;
+
+// --- OpenAI / OpenAI-Compatible Embeddings ---
+// Works with OpenAI and any server exposing /v1/embeddings (Ollama, vLLM, ...).
+// For Ollama use e.g. { baseURL: 'http://localhost:11434/v1', apiKey: 'ollama', model: 'nomic-embed-text' }.
+export class OpenAIEmbeddingProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, model = DEFAULT_OPENAI_EMBEDDING_MODEL } = {}) {
+        this.client = new OpenAI({ apiKey: apiKey || 'none', ...(baseURL ? { baseURL } : {}) });
+        this.model = model;
+        this.id = `openai:${baseURL || 'default'}:${model}`;
+    }
+
+    async generate(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+            const response = await this.client.embeddings.create({
+                model: this.model,
+                input: texts.slice(i, i + OPENAI_BATCH_SIZE),
+            });
+            // Keep the input order even if the server returns items out of order
+            const batch = [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+            vectors.push(...batch);
+        }
+        return vectors;
+    }
+}
+
+// --- Local Hashing Embeddings ---
+// Deterministic, offline embedder: hashed word unigrams and character trigrams (the "hashing trick"),
+// L2-normalized. Much weaker than a neural model, but needs no network and gives stable results.
+export class HashingEmbeddingProvider {
+    constructor({ dimension = DEFAULT_HASHING_DIMENSION } = {}) {
+        this.dimension = dimension;
+        this.id = `hashing:${dimension}`;
+    }
+
+    async generate(texts) {
+        return texts.map(text => this._embed(text));
+    }
+
+    _embed(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const words = String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        for (const word of words) {
+            this._addFeature(vector, `w:${word}`, 1);
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                this._addFeature(vector, `c:${padded.slice(i, i + 3)}`, 0.5);
+            }
+        }
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    _addFeature(vector, feature, weight) {
+        const hash = fnv1a(feature);
+        // Use one hash bit for the sign so collisions tend to cancel out instead of piling up
+        vector[hash % this.dimension] += (hash & 0x80000000) ? -weight : weight;
+    }
+}
+
+// 32-bit FNV-1a hash
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// --- Factory ---
+// Select a provider with EMBEDDING_PROVIDER ('openai', 'openai-compatible' or 'hashing') or { type }.
+// Defaults to OpenAI when OPENAI_API_KEY is set, otherwise the offline hashing embedder.
+// 'openai-compatible' reads EMBEDDING_BASE_URL, EMBEDDING_API_KEY and EMBEDDING_MODEL.
+export function createEmbeddingProvider({ type = process.env.EMBEDDING_PROVIDER, ...options } = {}) {
+    const providerType = type || (process.env.OPENAI_API_KEY ? 'openai' : 'hashing');
+    switch (providerType) {
+        case 'openai':
+            return new OpenAIEmbeddingProvider({
+                model: process.env.EMBEDDING_MODEL || DEFAULT_OPENAI_EMBEDDING_MODEL,
+                ...options,
+            });
+        case 'openai-compatible':
+            return new OpenAIEmbeddingProvider({
+                baseURL: process.env.EMBEDDING_BASE_URL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+                apiKey: process.env.EMBEDDING_API_KEY || 'ollama',
+                model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+                ...options,
+            });
+        case 'hashing':
+            return new HashingEmbeddingProvider({
+                ...(process.env.EMBEDDING_DIMENSION ? { dimension: Number(process.env.EMBEDDING_DIMENSION) } : {}),
+                ...options,
+            });
+        default:
+            throw new Error(`Unknown embedding provider '${providerType}'. Use 'openai', 'openai-compatible' or 'hashing'.`);
+    }
+}
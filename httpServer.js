@@ -0,0 +1,281 @@
+import http from 'http';
+import crypto from 'crypto';
+import { Agent } from './agent.js';
+import { TOOL_STATUSES } from './toolManager.js';
+import { validateToolArguments } from './schemaValidation.js';
+
+// --- Configuration ---
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_MAX_SESSIONS = 100; // Agent conversations kept in memory; the least recently used is dropped
+
+// --- Request Schemas ---
+// Validated (with defaults and type coercion) by the same validator used for tool-call arguments
+const LIST_TOOLS_QUERY_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', description: 'Only tools of this type.' },
+        status: { type: 'string', enum: TOOL_STATUSES, description: 'Only tools with this status.' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50, description: 'Page size.' },
+        offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of tools to skip.' },
+    },
+    additionalProperties: false,
+};
+const SEARCH_TOOLS_SCHEMA = {
+    type: 'object',
+    properties: {
+        context: { type: 'string', description: 'Text to find relevant tools for.' },
+        maxResults: { type: 'integer', minimum: 1, maximum: 100, default: 5, description: 'Number of retrieved tools.' },
+        statuses: { type: 'array', items: { type: 'string', enum: TOOL_STATUSES }, description: 'Statuses to include.' },
+        minScore: { type: 'number', minimum: 0, maximum: 1, description: 'Drop tools scoring below this.' },
+        where: {
+            type: 'object',
+            additionalProperties: { anyOf: [{ type: ['string', 'number', 'boolean'] }, { type: 'array', items: { type: ['string', 'number', 'boolean'] } }] },
+            description: 'Field filters, e.g. { "type": "openapi", "tags": ["math"] }.',
+        },
+    },
+    required: ['context'],
+    additionalProperties: false,
+};
+const CREATE_TOOL_SCHEMA = {
+    type: 'object',
+    properties: {
+        task_description: { type: 'string', minLength: 1, description: 'What the new tool should do.' },
+        suggested_name: { type: 'string', description: 'Optional base name for the tool.' },
+    },
+    required: ['task_description'],
+    additionalProperties: false,
+};
+const AGENT_CHAT_SCHEMA = {
+    type: 'object',
+    properties: {
+        session_id: { type: 'string', minLength: 1, maxLength: 200, description: 'Conversation to continue.' },
+        message: { type: 'string', minLength: 1, description: 'The user message.' },
+        reset: { type: 'boolean', default: false, description: 'Start the conversation over first.' },
+    },
+    required: ['session_id', 'message'],
+    additionalProperties: false,
+};
+
+class HttpError extends Error {
+    constructor(status, message, { details, headers } = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+// --- HTTP API ---
+// REST API over a ToolManager, so several apps can share one tool registry.
+//   GET    /tools            list tools (?type=&status=&limit=&offset=)
+//   GET    /tools/:id        get one tool
+//   GET    /tools/:id/stats  usage stats of one tool (getToolStats)
+//   POST   /tools/search     { context, maxResults?, statuses?, minScore?, where? } -> getAvailableTools
+//   POST   /tools/create     { task_description, suggested_name? } -> executeToolCreation
+//   DELETE /tools/:id        delete a tool (core tools are refused)
+//   POST   /agent/chat       { session_id, message, reset? } -> Agent.process for that session
+// options.authToken: when set, every request needs `Authorization: Bearer <token>`
+// options.agentOptions: passed to each session's Agent
+// options.maxSessions: agent conversations kept in memory
+export function createHttpServer(toolManager, options = {}) {
+    const api = new ToolApi(toolManager, options);
+    return http.createServer((req, res) => api.handle(req, res));
+}
+
+class ToolApi {
+    constructor(toolManager, { authToken = null, agentOptions = {}, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+        this.toolManager = toolManager;
+        this.authToken = authToken;
+        this.agentOptions = agentOptions;
+        this.maxSessions = maxSessions;
+        this.sessions = new Map(); // session id -> { agent, queue }, in least-recently-used order
+    }
+
+    async handle(req, res) {
+        try {
+            this._authenticate(req);
+            const url = new URL(req.url, 'http://localhost');
+            const segments = this._pathSegments(url.pathname);
+            const result = await this._route(req, segments, url.searchParams);
+            this._sendJson(res, result.status, result.body);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`[HTTP] Error handling ${req.method} ${req.url}:`, error);
+            }
+            const status = error instanceof HttpError ? error.status : 500;
+            this._sendJson(res, status, {
+                error: {
+                    message: status === 500 ? 'Internal server error.' : error.message,
+                    ...(error.details ? { details: error.details } : {}),
+                },
+            }, error.headers);
+        }
+    }
+
+    async _route(req, segments, query) {
+        const [resource, id, subresource, ...rest] = segments;
+        if (rest.length > 0 || (subresource !== undefined && !(resource === 'tools' && subresource === 'stats'))) {
+            throw new HttpError(404, 'Not found.');
+        }
+
+        if (resource === 'tools' && id === undefined) {
+            this._requireMethod(req, ['GET']);
+            const params = this._validate(LIST_TOOLS_QUERY_SCHEMA, Object.fromEntries(query));
+            return { status: 200, body: { ...(await this.toolManager.listTools(params)), limit: params.limit, offset: params.offset } };
+        }
+        if (resource === 'tools' && id === 'search') {
+            this._requireMethod(req, ['POST']);
+            const body = this._validate(SEARCH_TOOLS_SCHEMA, await this._readJson(req));
+            const { context, maxResults, ...options } = body;
+            const tools = await this.toolManager.getAvailableTools(context, maxResults, options);
+            return { status: 200, body: { tools } };
+        }
+        if (resource === 'tools' && id === 'create') {
+            this._requireMethod(req, ['POST']);
+            return this._createTool(this._validate(CREATE_TOOL_SCHEMA, await this._readJson(req)));
+        }
+        if (resource === 'tools' && subresource === 'stats') {
+            this._requireMethod(req, ['GET']);
+            return this._getToolStats(id);
+        }
+        if (resource === 'tools') {
+            this._requireMethod(req, ['GET', 'DELETE']);
+            return req.method === 'GET' ? this._getTool(id) : this._deleteTool(id);
+        }
+        if (resource === 'agent' && id === 'chat') {
+            this._requireMethod(req, ['POST']);
+            return this._chat(this._validate(AGENT_CHAT_SCHEMA, await this._readJson(req)));
+        }
+        throw new HttpError(404, 'Not found.');
+    }
+
+    async _getTool(id) {
+        const tool = await this.toolManager.getTool(id);
+        if (!tool) {
+            throw new HttpError(404, `Tool with ID '${id}' not found.`);
+        }
+        return { status: 200, body: { tool } };
+    }
+
+    async _getToolStats(id) {
+        const stats = await this.toolManager.getToolStats(id);
+        if (!stats) {
+            throw new HttpError(404, `Tool with ID '${id}' not found.`);
+        }
+        return { status: 200, body: { stats } };
+    }
+
+    async _deleteTool(id) {
+        const tool = await this.toolManager.getTool(id);
+        if (!tool) {
+            throw new HttpError(404, `Tool with ID '${id}' not found.`);
+        }
+        if (tool.type === 'core') {
+            throw new HttpError(403, `Tool '${tool.name}' is a core tool and cannot be deleted.`);
+        }
+        await this.toolManager.deleteTool(id);
+        return { status: 200, body: { deleted: true, id } };
+    }
+
+    async _createTool({ task_description, suggested_name }) {
+        const result = await this.toolManager.executeToolCreation(task_description, suggested_name);
+        if (result.denied) {
+            throw new HttpError(403, result.error);
+        }
+        if (result.error) {
+            // The LLM failed or kept producing invalid definitions
+            throw new HttpError(502, result.error);
+        }
+        const { creationOutcome, ...tool } = result;
+        const status = creationOutcome?.action === 'created' ? 201 : 200;
+        return { status, body: { tool, creationOutcome } };
+    }
+
+    async _chat({ session_id, message, reset }) {
+        let session = this.sessions.get(session_id);
+        if (session) {
+            this.sessions.delete(session_id); // Re-inserted below as most recently used
+        } else {
+            session = { agent: new Agent(this.toolManager.llmClient, this.toolManager, this.agentOptions), queue: Promise.resolve() };
+            if (this.sessions.size >= this.maxSessions) {
+                this.sessions.delete(this.sessions.keys().next().value);
+            }
+        }
+        this.sessions.set(session_id, session);
+
+        // One message at a time per session, so concurrent requests don't interleave its history
+        const turn = session.queue.then(async () => {
+            if (reset) {
+                session.agent.reset();
+            }
+            const reply = await session.agent.process(message);
+            return { reply, error: session.agent.lastError };
+        });
+        session.queue = turn.catch(() => {});
+        const { reply, error } = await turn;
+        if (error) {
+            // process() answers with an apology; the client should see that the LLM failed
+            throw new HttpError(502, `The agent failed to answer: ${error.message}`);
+        }
+        return { status: 200, body: { session_id, reply } };
+    }
+
+    _authenticate(req) {
+        if (!this.authToken) return;
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        const given = Buffer.from(match ? match[1].trim() : '');
+        const expected = Buffer.from(this.authToken);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new HttpError(401, 'Missing or invalid bearer token.', { headers: { 'WWW-Authenticate': 'Bearer' } });
+        }
+    }
+
+    _pathSegments(pathname) {
+        try {
+            return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            throw new HttpError(400, 'Malformed path.'); // A bad escape such as %E0%A4%A
+        }
+    }
+
+    _requireMethod(req, methods) {
+        if (!methods.includes(req.method)) {
+            throw new HttpError(405, `Method ${req.method} not allowed.`, { headers: { Allow: methods.join(', ') } });
+        }
+    }
+
+    _validate(schema, value) {
+        const validation = validateToolArguments(schema, value);
+        if (!validation.valid) {
+            throw new HttpError(400, 'Invalid request.', { details: validation.errors });
+        }
+        return validation.args;
+    }
+
+    async _readJson(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // The rest of the body is never read, so the connection can't be reused
+                throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes.`, { headers: { Connection: 'close' } });
+            }
+            chunks.push(chunk);
+        }
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text.trim()) {
+            return {};
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+        }
+    }
+
+    _sendJson(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        res.end(JSON.stringify(body));
+    }
+}
@@ -0,0 +1,16 @@
+import OpenAI from 'openai';
+
+// --- LLM Client Setup ---
+// Shared by the entry points (index.js, mcp.js).
+// Configure for OpenAI, Ollama, vLLM, etc.
+// Ensure you have OPENAI_API_KEY in env for OpenAI, or adjust baseURL/apiKey for others.
+// For Ollama, baseURL is typically http://localhost:11434/v1 and apiKey is often 'ollama' or not required.
+export function createLlmClient() {
+    const client = new OpenAI({
+        baseURL: process.env.OPENAI_API_BASE || process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1', // Default to Ollama-like URL
+        apiKey: process.env.OPENAI_API_KEY || 'ollama', // Default to 'ollama' if no key
+    });
+    // Specify the model you are using (e.g., 'gpt-4o', 'llama3', 'mistral')
+    client.model = process.env.MODEL_NAME || 'qwen2.5-coder:7b-instruct-q8_0'; // Set a default model
+    return client;
+}
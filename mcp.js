@@ -0,0 +1,24 @@
+import { createLlmClient } from './llmClient.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { createCassette } from './cassettes.js';
+import { ToolManager } from './toolManager.js';
+import { McpServer } from './mcpServer.js';
+
+// --- MCP Server Entry Point ---
+// Serves the tool registry to MCP clients over stdio, e.g. in a client's server config:
+//   { "command": "node", "args": ["/path/to/ToolCreationTool/mcp.js"] }
+// stdout carries the protocol, so all logging is redirected to stderr.
+console.log = console.info = console.warn = console.error;
+
+const cassette = createCassette(); // CASSETTE_MODE=record|replay, see cassettes.js
+await cassette?.load(); // On replay, the embedder id is read from the cassette
+const llmClient = cassette ? cassette.wrapLlmClient(createLlmClient()) : createLlmClient();
+console.log(`Using LLM model: ${llmClient.model} via ${llmClient.baseURL}`);
+const toolManager = new ToolManager(llmClient, cassette ? { embedder: cassette.createEmbedder(createEmbeddingProvider) } : {});
+const server = new McpServer(toolManager);
+
+server.start().then(async () => {
+    console.log('MCP client disconnected. Exiting.');
+    await cassette?.flush();
+    process.exit(0);
+});
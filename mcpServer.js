@@ -0,0 +1,211 @@
+import readline from 'readline';
+import { TOOL_CREATION_TOOL_DEF, isExecutableTool } from './toolManager.js';
+import { validateToolArguments } from './schemaValidation.js';
+
+// --- Configuration ---
+// Model Context Protocol over stdio: newline-delimited JSON-RPC 2.0 messages.
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05']; // Newest first
+const SERVER_INFO = { name: 'tool-creation-tool', version: '0.1.0' };
+const TOOLS_PAGE_SIZE = 100;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class JsonRpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// --- MCP Server ---
+// Exposes the active tools of a ToolManager to MCP clients. Calling `create_new_tool` runs
+// executeToolCreation and notifies clients with `notifications/tools/list_changed`.
+// Everything written to `output` is protocol traffic, so callers must keep logs off stdout.
+export class McpServer {
+    constructor(toolManager, { input = process.stdin, output = process.stdout } = {}) {
+        this.toolManager = toolManager;
+        this.input = input;
+        this.output = output;
+        this.initialized = false;
+        this._pending = new Set(); // Requests still being handled
+    }
+
+    // Start reading requests. Resolves once the input stream has closed and every request got its response.
+    start() {
+        const rl = readline.createInterface({ input: this.input, terminal: false });
+        rl.on('line', (line) => {
+            if (line.trim()) {
+                const handling = this.handleLine(line);
+                this._pending.add(handling);
+                handling.finally(() => this._pending.delete(handling));
+            }
+        });
+        return new Promise(resolve => rl.on('close', resolve))
+            .then(() => Promise.allSettled([...this._pending]));
+    }
+
+    async handleLine(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            this._send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+            return;
+        }
+
+        // Batches are not part of current MCP revisions, but are cheap to support
+        const messages = Array.isArray(message) ? message : [message];
+        await Promise.all(messages.map(item => this.handleMessage(item)));
+    }
+
+    // Handle one JSON-RPC message; requests (messages with an id) get exactly one response
+    async handleMessage(message) {
+        const isRequest = message && message.id !== undefined && message.id !== null;
+        try {
+            if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+                throw new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message.');
+            }
+            const result = await this._dispatch(message.method, message.params || {});
+            if (isRequest) {
+                this._send({ jsonrpc: '2.0', id: message.id, result });
+            }
+        } catch (error) {
+            if (!(error instanceof JsonRpcError)) {
+                console.error(`[MCP] Error handling '${message?.method}':`, error);
+            }
+            if (isRequest || error.code === INVALID_REQUEST) {
+                this._send({
+                    jsonrpc: '2.0',
+                    id: isRequest ? message.id : null,
+                    error: { code: error.code ?? INTERNAL_ERROR, message: error.message },
+                });
+            }
+        }
+    }
+
+    async _dispatch(method, params) {
+        switch (method) {
+            case 'initialize':
+                return this._initialize(params);
+            case 'notifications/initialized':
+            case 'notifications/cancelled':
+                return null;
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return this._listTools(params);
+            case 'tools/call':
+                return this._callTool(params);
+            default:
+                throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    async _initialize(params) {
+        await this.toolManager.initialize();
+        this.initialized = true;
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
+        return {
+            protocolVersion,
+            capabilities: { tools: { listChanged: true } },
+            serverInfo: SERVER_INFO,
+            ...(this.toolManager.canCreateTools()
+                ? { instructions: `Use '${TOOL_CREATION_TOOL_DEF.name}' to create a new tool when none of the listed tools fits the task.` }
+                : {}),
+        };
+    }
+
+    // All active tools, with create_new_tool first unless the tool policy denies creating tools.
+    // `cursor` is an opaque offset.
+    async _listTools({ cursor } = {}) {
+        const offset = cursor ? Number.parseInt(cursor, 10) : 0;
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid cursor: ${cursor}`);
+        }
+
+        const { tools: activeTools } = await this.toolManager.listTools({ status: 'active', limit: Number.MAX_SAFE_INTEGER });
+        const tools = [
+            ...(this.toolManager.canCreateTools() ? [TOOL_CREATION_TOOL_DEF] : []),
+            ...activeTools.filter(tool => tool.name !== TOOL_CREATION_TOOL_DEF.name && isExecutableTool(tool)),
+        ];
+        const page = tools.slice(offset, offset + TOOLS_PAGE_SIZE).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.parameters,
+        }));
+        const nextOffset = offset + TOOLS_PAGE_SIZE;
+        return { tools: page, ...(nextOffset < tools.length ? { nextCursor: String(nextOffset) } : {}) };
+    }
+
+    async _callTool({ name, arguments: args = {} }) {
+        if (typeof name !== 'string') {
+            throw new JsonRpcError(INVALID_PARAMS, "'name' is required.");
+        }
+
+        if (name === TOOL_CREATION_TOOL_DEF.name) {
+            return this._createTool(args);
+        }
+
+        const tool = await this.toolManager.getToolByName(name);
+        if (!tool) {
+            throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+        // Tool failures are reported as results with isError, so the client's model can see them
+        const result = await this.toolManager.executeTool(tool.id, args);
+        if (result.error) {
+            return this._textResult(result.error, true);
+        }
+        return {
+            ...this._textResult(JSON.stringify(result.result)),
+            ...(result.result !== null && typeof result.result === 'object' && !Array.isArray(result.result)
+                ? { structuredContent: result.result }
+                : {}),
+        };
+    }
+
+    async _createTool(args) {
+        const validation = validateToolArguments(TOOL_CREATION_TOOL_DEF.parameters, args);
+        if (!validation.valid) {
+            return this._textResult(`Invalid arguments: ${validation.errors.join('; ')}`, true);
+        }
+
+        const result = await this.toolManager.executeToolCreation(validation.args.task_description, validation.args.suggested_name);
+        if (result.error) {
+            return this._textResult(result.error, true);
+        }
+
+        const { creationOutcome, ...tool } = result;
+        if (tool.verified === false) {
+            return this._textResult(`Tool '${tool.name}' was created but could not be verified and is not available: ${tool.reason}`, true);
+        }
+        if (tool.status !== 'active') {
+            return this._textResult(`Tool '${tool.name}' was created but failed verification and is not available.`, true);
+        }
+        if (creationOutcome?.action !== 'reused') {
+            this.notifyToolsChanged();
+        }
+        return this._textResult(`Tool '${tool.name}' is available (${creationOutcome?.action || 'created'}): ${tool.description}`);
+    }
+
+    // Tell connected clients to fetch tools/list again
+    notifyToolsChanged() {
+        if (this.initialized) {
+            this._send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+        }
+    }
+
+    _textResult(text, isError = false) {
+        return { content: [{ type: 'text', text }], ...(isError ? { isError: true } : {}) };
+    }
+
+    _send(message) {
+        this.output.write(`${JSON.stringify(message)}\n`);
+    }
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+
+// --- Capabilities ---
+// What a tool declares it does, in its `capabilities` field:
+//   'read_only'    - only computes or reads; calling it twice changes nothing
+//   'side_effects' - changes state somewhere (creates, updates, deletes, sends)
+//   'network'      - talks to other hosts
+//   'filesystem'   - reads or writes local files
+// Tools that declare nothing are treated as ['side_effects'].
+export const TOOL_CAPABILITIES = ['read_only', 'side_effects', 'network', 'filesystem'];
+const DEFAULT_CAPABILITIES = ['side_effects'];
+
+export function effectiveCapabilities(tool) {
+    return Array.isArray(tool?.capabilities) && tool.capabilities.length > 0 ? tool.capabilities : DEFAULT_CAPABILITIES;
+}
+
+// --- Policy ---
+// Decides whether a tool may be created (stored after generation) or executed:
+//   {
+//     "create":  { "default": "allow", "capabilities": { "network": "deny" }, "types": { "composite": "allow" } },
+//     "execute": { "default": "allow", "capabilities": { "side_effects": "approve" } }
+//   }
+// An action may also be a single decision ("create": "approve"). Decisions are 'allow', 'approve'
+// (ask the approver) or 'deny'. The rules matching the tool's type and capabilities decide, the most
+// restrictive one winning; `default` applies when none matches. No config allows everything.
+export const POLICY_DECISIONS = ['allow', 'approve', 'deny'];
+export const POLICY_ACTIONS = ['create', 'execute'];
+const RESTRICTIVENESS = { allow: 0, approve: 1, deny: 2 };
+
+export class ToolPolicy {
+    constructor(config = {}) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error("Tool policy must be an object with 'create' and/or 'execute' rules.");
+        }
+        this.rules = {};
+        for (const action of POLICY_ACTIONS) {
+            this.rules[action] = this._normalizeRules(action, config[action]);
+        }
+    }
+
+    // Returns { decision, reasons }, e.g. { decision: 'approve', reasons: ["capability 'network': approve"] }
+    evaluate(action, tool) {
+        const rules = this.rules[action];
+        if (!rules) {
+            throw new Error(`Unknown policy action '${action}'. Expected one of: ${POLICY_ACTIONS.join(', ')}.`);
+        }
+        const matches = [];
+        if (Object.hasOwn(rules.types, tool.type)) {
+            matches.push({ decision: rules.types[tool.type], reason: `type '${tool.type}': ${rules.types[tool.type]}` });
+        }
+        for (const capability of effectiveCapabilities(tool)) {
+            if (Object.hasOwn(rules.capabilities, capability)) {
+                matches.push({ decision: rules.capabilities[capability], reason: `capability '${capability}': ${rules.capabilities[capability]}` });
+            }
+        }
+        if (matches.length === 0) {
+            return { decision: rules.default, reasons: [`default: ${rules.default}`] };
+        }
+        const decision = matches.reduce((strictest, match) => RESTRICTIVENESS[match.decision] > RESTRICTIVENESS[strictest] ? match.decision : strictest, 'allow');
+        return { decision, reasons: matches.filter(match => match.decision === decision).map(match => match.reason) };
+    }
+
+    // False if every rule for the action denies, i.e. no tool could ever pass
+    allowsAction(action) {
+        const rules = this.rules[action];
+        return [rules.default, ...Object.values(rules.types), ...Object.values(rules.capabilities)].some(decision => decision !== 'deny');
+    }
+
+    _normalizeRules(action, rules = {}) {
+        if (!rules || (typeof rules !== 'string' && (typeof rules !== 'object' || Array.isArray(rules)))) {
+            throw new Error(`Invalid tool policy: '${action}' must be a decision or an object with 'default', 'capabilities' and 'types'.`);
+        }
+        const normalized = typeof rules === 'string'
+            ? { default: rules, capabilities: {}, types: {} }
+            : { default: rules.default ?? 'allow', capabilities: { ...rules.capabilities }, types: { ...rules.types } };
+        const decisions = [
+            [`${action}.default`, normalized.default],
+            ...Object.entries(normalized.capabilities).map(([key, value]) => [`${action}.capabilities.${key}`, value]),
+            ...Object.entries(normalized.types).map(([key, value]) => [`${action}.types.${key}`, value]),
+        ];
+        for (const [path, decision] of decisions) {
+            if (!POLICY_DECISIONS.includes(decision)) {
+                throw new Error(`Invalid tool policy: '${path}' is ${JSON.stringify(decision)}, expected one of: ${POLICY_DECISIONS.join(', ')}.`);
+            }
+        }
+        for (const capability of Object.keys(normalized.capabilities)) {
+            if (!TOOL_CAPABILITIES.includes(capability)) {
+                throw new Error(`Invalid tool policy: unknown capability '${capability}' in '${action}'. Known capabilities: ${TOOL_CAPABILITIES.join(', ')}.`);
+            }
+        }
+        return normalized;
+    }
+}
+
+// Read the policy config from the JSON file at TOOL_POLICY_PATH, or return null if it isn't set
+export function loadPolicyConfig(filePath = process.env.TOOL_POLICY_PATH) {
+    if (!filePath) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load tool policy from '${filePath}': ${error.message}`);
+    }
+}
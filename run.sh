@@ -7,14 +7,21 @@ npm install
 
 # Ensure ChromaDB is running (e.g., via Docker)
 #docker run -p 8000:8000 chromadb/chroma
+# ...or skip ChromaDB and keep tools in a local file
+#export TOOL_STORE="file" TOOL_STORE_PATH="./tools.json"
 
 # Set environment variables (e.g., in a .env file or directly)
-# Required for embeddings (using OpenAI's model here)
+# Used for OpenAI embeddings; without it an offline hashing embedder is used
 export OPENAI_API_KEY="your_openai_api_key"
+#export EMBEDDING_PROVIDER="openai-compatible" EMBEDDING_MODEL="nomic-embed-text" # Embed with Ollama instead
 
 # Optional: Configure LLM endpoint and model
 export OPENAI_API_BASE="http://localhost:11434/v1" # Example for Ollama
 export MODEL_NAME="qwen2.5-coder:7b-instruct-q8_0" # Example model
+#export TOOL_CALLING_MODE="prompt" # For models without native function calling (default: auto-detect)
 export CHROMA_URL="http://localhost:8000" # Default if not set
+#export TOOL_POLICY_PATH="./policy.json" # Allow, require approval for or deny creating/running tools (see README)
+#export AUDIT_LOG_PATH="./audit.jsonl" # Where policy decisions are logged (default)
+#export CASSETTE_MODE="record" CASSETTE_PATH="./cassette.jsonl" # Record a session; replay it offline with CASSETTE_MODE="replay"
 
 node index.js
@@ -0,0 +1,141 @@
+import { Worker } from 'worker_threads';
+import vm from 'vm';
+
+// --- Configuration ---
+// Defaults for running LLM-generated tool implementations.
+// Each call gets its own worker thread (hard memory cap, killable on timeout)
+// and, inside it, a fresh vm context with no require, process, import or eval.
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MEMORY_LIMIT_MB = 64;
+
+// Implementations are stored as the *body* of an async function receiving `args`
+const wrapImplementation = (implementation) => `(async (args) => {\n${implementation}\n})`;
+
+// Code executed inside the worker thread. It only talks to the parent via postMessage.
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { source, argsJson, timeoutMs } = workerData;
+
+// Null-prototype sandbox: nothing from this realm (require, process, Buffer, ...) is reachable
+const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+});
+
+// Build console and the arguments *inside* the context so no outer-realm objects leak in
+vm.runInContext(\`
+    const __logs = [];
+    const __format = (values) => values.map(v => typeof v === 'string' ? v : JSON.stringify(v)).join(' ');
+    globalThis.console = {
+        log: (...values) => { __logs.push(__format(values)); },
+        info: (...values) => { __logs.push(__format(values)); },
+        warn: (...values) => { __logs.push(__format(values)); },
+        error: (...values) => { __logs.push(__format(values)); },
+    };
+    globalThis.__getLogs = () => __logs.slice();
+\`, context);
+context.__argsJson = argsJson;
+
+(async () => {
+    try {
+        const fn = vm.runInContext(source, context, { timeout: timeoutMs });
+        const args = vm.runInContext('JSON.parse(__argsJson)', context);
+        const result = await fn(args);
+        // Serialize inside the sandbox realm so getters/proxies cannot run out here
+        context.__result = result;
+        const resultJson = vm.runInContext('JSON.stringify(__result === undefined ? null : __result)', context, { timeout: timeoutMs });
+        if (typeof resultJson !== 'string') {
+            // Functions, symbols and values whose toJSON returns undefined have no JSON form
+            throw new Error('Tool result is not JSON-serializable.');
+        }
+        parentPort.postMessage({ ok: true, resultJson, logs: context.__getLogs() });
+    } catch (error) {
+        parentPort.postMessage({ ok: false, error: String(error && error.message || error), logs: context.__getLogs() });
+    }
+})();
+`;
+
+// Check that an implementation body compiles, without running it
+export function checkImplementationSyntax(implementation) {
+    if (typeof implementation !== 'string' || !implementation.trim()) {
+        throw new Error("Tool implementation must be a non-empty string containing a JavaScript function body.");
+    }
+    try {
+        new vm.Script(wrapImplementation(implementation));
+    } catch (error) {
+        throw new Error(`Tool implementation has a syntax error: ${error.message}`);
+    }
+}
+
+// Run a tool implementation with the given arguments in an isolated worker + vm context.
+// Resolves to { result, logs } or rejects with an Error (timeout, memory limit, thrown error, ...).
+export function runInSandbox(implementation, args = {}, options = {}) {
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const memoryLimitMb = options.memoryLimitMb ?? DEFAULT_MEMORY_LIMIT_MB;
+
+    checkImplementationSyntax(implementation);
+
+    let argsJson;
+    try {
+        argsJson = JSON.stringify(args ?? {});
+    } catch (error) {
+        return Promise.reject(new Error(`Tool arguments are not JSON-serializable: ${error.message}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_SOURCE, {
+            eval: true,
+            workerData: { source: wrapImplementation(implementation), argsJson, timeoutMs },
+            env: {}, // Don't expose the parent's environment variables (API keys etc.)
+            stdout: true, // Swallow any direct output from the worker
+            stderr: true,
+            resourceLimits: {
+                maxOldGenerationSizeMb: memoryLimitMb,
+                maxYoungGenerationSizeMb: Math.max(1, Math.floor(memoryLimitMb / 4)),
+            },
+        });
+
+        let settled = false;
+        const finish = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            fn(value);
+        };
+
+        // Covers async work (pending promises, infinite awaits) that vm's own timeout can't interrupt
+        const timer = setTimeout(() => {
+            finish(reject, new Error(`Tool execution timed out after ${timeoutMs}ms.`));
+        }, timeoutMs);
+
+        worker.on('message', (message) => {
+            if (message.ok) {
+                let result;
+                try {
+                    result = JSON.parse(message.resultJson);
+                } catch (error) {
+                    finish(reject, new Error(`Tool result is not valid JSON: ${error.message}`));
+                    return;
+                }
+                finish(resolve, { result, logs: message.logs });
+            } else {
+                finish(reject, new Error(message.error));
+            }
+        });
+        worker.on('error', (error) => {
+            if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                finish(reject, new Error(`Tool execution exceeded the memory limit of ${memoryLimitMb}MB.`));
+            } else {
+                finish(reject, error);
+            }
+        });
+        worker.on('exit', (code) => {
+            // Exit code 0 without a message means the implementation awaited something that never settles
+            finish(reject, new Error(code === 0
+                ? "Tool execution finished without returning a result (a promise never settled)."
+                : `Tool execution ended unexpectedly (exit code ${code}).`));
+        });
+    });
+}
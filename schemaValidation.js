@@ -0,0 +1,136 @@
+import Ajv from 'ajv';
+import { checkImplementationSyntax } from './sandbox.js';
+import { validateWorkflow } from './workflows.js';
+import { TOOL_CAPABILITIES } from './policy.js';
+
+// --- Validators ---
+// `metaValidator` checks parameter schemas against the JSON Schema (draft-07) meta-schema.
+// `argsValidator` validates tool-call arguments, filling in defaults and coercing types ("3" -> 3).
+// LLM-written and imported schemas often carry extra keywords (e.g. "example") and formats (e.g. "int64"),
+// so strict mode and format validation are off.
+const metaValidator = new Ajv({ strict: false, allErrors: true, validateSchema: false });
+const argsValidator = new Ajv({ strict: false, allErrors: true, useDefaults: true, coerceTypes: true, validateFormats: false });
+const compiledArgsSchemas = new Map(); // Serialized schema -> compiled validate function
+
+const SNAKE_CASE_PATTERN = /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/;
+
+const formatAjvErrors = (errors) => (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+
+// Check a generated tool definition. Returns a list of problems (empty if valid).
+// Pass { requireImplementation: false } for definitions that don't carry code (e.g. core tools)
+// and { requireExamples: true } to insist on at least one example invocation.
+// Composite tools ({ type: 'composite' }) are checked for their steps instead; their examples are optional.
+export function validateToolDefinition(toolDefinition, { requireImplementation = true, requireExamples = false } = {}) {
+    const errors = [];
+    if (!toolDefinition || typeof toolDefinition !== 'object' || Array.isArray(toolDefinition)) {
+        return ["Tool definition must be a JSON object."];
+    }
+
+    const { name, description, parameters, implementation } = toolDefinition;
+    if (typeof name !== 'string' || !SNAKE_CASE_PATTERN.test(name)) {
+        errors.push(`'name' must be a snake_case string (e.g. "get_weather"), got ${JSON.stringify(name)}.`);
+    }
+    if (typeof description !== 'string' || !description.trim()) {
+        errors.push("'description' must be a non-empty string.");
+    }
+
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        errors.push("'parameters' must be a JSON schema object.");
+    } else {
+        try {
+            if (!metaValidator.validateSchema(parameters)) {
+                errors.push(...formatAjvErrors(metaValidator.errors).map(message => `'parameters' is not a valid JSON schema: ${message}`));
+            }
+        } catch (error) {
+            // e.g. an unknown "$schema" URI
+            errors.push(`'parameters' is not a valid JSON schema: ${error.message}`);
+        }
+        if (parameters.type !== 'object') {
+            errors.push("'parameters.type' must be \"object\".");
+        }
+        const properties = parameters.properties;
+        if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+            errors.push("'parameters.properties' must be an object (use {} if the tool takes no inputs).");
+        } else {
+            for (const [propertyName, propertySchema] of Object.entries(properties)) {
+                if (typeof propertySchema?.description !== 'string' || !propertySchema.description.trim()) {
+                    errors.push(`Parameter '${propertyName}' needs a 'description'.`);
+                }
+            }
+            for (const requiredName of parameters.required || []) {
+                if (!(requiredName in properties)) {
+                    errors.push(`Required parameter '${requiredName}' is not defined in 'parameters.properties'.`);
+                }
+            }
+        }
+    }
+
+    const { tags } = toolDefinition;
+    if (tags !== undefined && (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.trim()))) {
+        errors.push("'tags' must be an array of non-empty strings.");
+    }
+
+    // Optional; tools without it are treated as having side effects (see policy.js)
+    const { capabilities } = toolDefinition;
+    if (capabilities !== undefined) {
+        if (!Array.isArray(capabilities) || !capabilities.every(capability => TOOL_CAPABILITIES.includes(capability))) {
+            errors.push(`'capabilities' must be an array of: ${TOOL_CAPABILITIES.join(', ')}.`);
+        } else if (capabilities.includes('read_only') && capabilities.includes('side_effects')) {
+            errors.push("'capabilities' can't contain both 'read_only' and 'side_effects'.");
+        }
+    }
+
+    const isComposite = toolDefinition.type === 'composite';
+    const { examples } = toolDefinition;
+    if (examples !== undefined || (requireExamples && !isComposite)) {
+        if (!Array.isArray(examples) || (requireExamples && !isComposite && examples.length === 0)) {
+            errors.push("'examples' must be a non-empty array of { \"args\": {...}, \"expected\": ... } objects.");
+        } else {
+            examples.forEach((example, index) => {
+                if (!example || typeof example.args !== 'object' || example.args === null || Array.isArray(example.args) || !('expected' in example)) {
+                    errors.push(`Example ${index} must be an object with 'args' (an object) and 'expected'.`);
+                }
+            });
+        }
+    }
+
+    if (isComposite) {
+        errors.push(...validateWorkflow(toolDefinition));
+        if (implementation !== undefined) {
+            errors.push("Composite tools take 'steps' instead of an 'implementation'.");
+        }
+    } else if (requireImplementation) {
+        try {
+            checkImplementationSyntax(implementation);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    return errors;
+}
+
+// Validate tool-call arguments against a tool's parameter schema.
+// Returns { valid, args, errors }: `args` is a copy with defaults applied and types coerced.
+export function validateToolArguments(schema, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { valid: false, args, errors: ["Arguments must be a JSON object."] };
+    }
+    if (!schema) {
+        return { valid: true, args, errors: [] };
+    }
+
+    const key = JSON.stringify(schema);
+    let validate = compiledArgsSchemas.get(key);
+    if (!validate) {
+        try {
+            validate = argsValidator.compile(schema);
+        } catch (error) {
+            return { valid: false, args, errors: [`Tool parameter schema could not be compiled: ${error.message}`] };
+        }
+        compiledArgsSchemas.set(key, validate);
+    }
+
+    const preparedArgs = structuredClone(args);
+    const valid = validate(preparedArgs);
+    return { valid, args: preparedArgs, errors: valid ? [] : formatAjvErrors(validate.errors) };
+}
@@ -0,0 +1,48 @@
+import { createLlmClient } from './llmClient.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { createCassette } from './cassettes.js';
+import { ToolManager } from './toolManager.js';
+import { createHttpServer } from './httpServer.js';
+
+// --- HTTP Server Entry Point ---
+// PORT (default 3000) and HOST (default 127.0.0.1) select the address.
+// Set API_TOKEN to require `Authorization: Bearer <API_TOKEN>` on every request.
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '127.0.0.1';
+
+const cassette = createCassette(); // CASSETTE_MODE=record|replay, see cassettes.js
+await cassette?.load(); // On replay, the embedder id is read from the cassette
+const llmClient = cassette ? cassette.wrapLlmClient(createLlmClient()) : createLlmClient();
+console.log(`Using LLM model: ${llmClient.model} via ${llmClient.baseURL}`);
+const toolManager = new ToolManager(llmClient, cassette ? { embedder: cassette.createEmbedder(createEmbeddingProvider) } : {});
+
+try {
+    await toolManager.initialize();
+} catch (error) {
+    console.error("Failed to initialize Tool Manager. Exiting.", error);
+    process.exit(1);
+}
+
+if (!process.env.API_TOKEN) {
+    console.warn("Warning: API_TOKEN not set. The HTTP API accepts unauthenticated requests.");
+}
+const server = createHttpServer(toolManager, {
+    authToken: process.env.API_TOKEN || null,
+    agentOptions: {
+        maxSteps: Number(process.env.AGENT_MAX_STEPS) || undefined,
+        toolCalling: process.env.TOOL_CALLING_MODE || undefined,
+    },
+});
+server.listen(PORT, HOST, () => {
+    console.log(`Tool registry HTTP API listening on http://${HOST}:${PORT}`);
+});
+
+// Write the last recorded interactions before exiting (see cassettes.js)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        console.log(`Received ${signal}. Shutting down.`);
+        server.close();
+        await cassette?.flush();
+        process.exit(0);
+    });
+}
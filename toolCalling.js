@@ -0,0 +1,210 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// --- Configuration ---
+// How the Agent asks the LLM for tool calls:
+//   'native' - OpenAI `tools`/`tool_choice` request fields and `message.tool_calls` in the response
+//   'prompt' - the tool list goes into the system prompt and calls are parsed out of the text
+//   'auto'   - native until the model rejects `tools` or answers with a text tool call, then prompt
+export const TOOL_CALLING_MODES = ['native', 'prompt', 'auto'];
+const DEFAULT_MODE = 'auto';
+const TOOL_CALL_TAG = 'tool_call';
+const TOOL_RESULT_TAG = 'tool_result';
+// Error messages of APIs that don't accept the `tools` field (e.g. Ollama: "... does not support tools")
+const TOOLS_UNSUPPORTED_PATTERN = /does not support tools|tools? (?:are|is) not supported|unsupported (?:parameter|field)[^.]*tools|function calling is not (?:supported|enabled)/i;
+
+// Models detected as needing the prompt protocol in 'auto' mode, shared by all agents of this process
+const detectedPromptModels = new Set();
+
+// --- JSON Extraction ---
+// Contents of the ```json fences (or plain ``` fences holding an object) in an LLM's text output, in
+// order of appearance. A response that is nothing but a bare { ... } object counts as one block.
+// Returns [{ json, start, end }] with the block's position in `text`.
+export function extractJsonBlocks(text) {
+    if (!text) return [];
+    const blocks = [];
+    for (const match of text.matchAll(/```(?:json)?[ \t]*\n?([\s\S]*?)\s*```/g)) {
+        const json = match[1].trim();
+        if (json.startsWith('{') || json.startsWith('[')) {
+            blocks.push({ json, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    const trimmed = text.trim();
+    if (blocks.length === 0 && trimmed.startsWith('{') && trimmed.endsWith('}')) {
+        blocks.push({ json: trimmed, start: 0, end: text.length });
+    }
+    return blocks;
+}
+
+// --- Mode Selection ---
+// `config` is a mode, a { [model]: mode } map (keys may end in '*' to match a prefix, '*' alone is the
+// default) or the same map as a string: "llama3.2*=prompt,gpt-4o=native,*=auto".
+export function resolveToolCallingMode(config, model) {
+    let mode = config || DEFAULT_MODE;
+    if (typeof mode === 'string' && mode.includes('=')) {
+        mode = Object.fromEntries(mode.split(',').map(entry => entry.split('=').map(part => part.trim())).filter(([key, value]) => key && value));
+    }
+    if (typeof mode === 'object') {
+        const key = Object.keys(mode)
+            .filter(pattern => pattern === model || (pattern.endsWith('*') && String(model).startsWith(pattern.slice(0, -1))))
+            .sort((a, b) => b.length - a.length)[0]; // Most specific pattern wins
+        mode = key !== undefined ? mode[key] : DEFAULT_MODE;
+    }
+    if (!TOOL_CALLING_MODES.includes(mode)) {
+        throw new Error(`Unknown tool calling mode '${mode}'. Expected one of: ${TOOL_CALLING_MODES.join(', ')}.`);
+    }
+    if (mode === 'auto' && detectedPromptModels.has(model)) {
+        return 'prompt';
+    }
+    return mode;
+}
+
+// Remember that `model` needs the prompt protocol (used by 'auto' mode)
+export function markPromptToolCalling(model) {
+    if (!detectedPromptModels.has(model)) {
+        console.warn(`[ToolCalling] Model '${model}' doesn't use native tool calls. Switching to the prompt-based protocol.`);
+        detectedPromptModels.add(model);
+    }
+}
+
+export function isToolsUnsupportedError(error) {
+    return TOOLS_UNSUPPORTED_PATTERN.test(error?.error?.message || error?.message || '');
+}
+
+export function createToolCallingAdapter(mode) {
+    return mode === 'prompt' ? new PromptToolCalling() : new NativeToolCalling();
+}
+
+// --- Adapters ---
+// Both keep the conversation history in the OpenAI shape (assistant `tool_calls`, `role: 'tool'` results):
+//   prepareRequest(history, tools)        -> { messages, tools?, tool_choice? } for chat.completions.create
+//   parseResponse(message, { toolNames }) -> { content, toolCalls } with OpenAI-style tool calls
+export class NativeToolCalling {
+    prepareRequest(history, tools) {
+        return {
+            messages: history,
+            tools: tools.length > 0 ? tools : undefined,
+            tool_choice: tools.length > 0 ? 'auto' : undefined,
+        };
+    }
+
+    parseResponse(message) {
+        return { content: message.content ?? null, toolCalls: message.tool_calls || [] };
+    }
+}
+
+// Text protocol for models without function calling. The tool list is appended to the system prompt,
+// calls come back as <tool_call> blocks, and the history is rendered as plain text.
+export class PromptToolCalling {
+    prepareRequest(history, tools) {
+        const [system, ...rest] = history;
+        const instructions = tools.length > 0 ? this._instructions(tools) : '';
+        const messages = [];
+        if (system?.role === 'system') {
+            messages.push({ role: 'system', content: [system.content, instructions].filter(Boolean).join('\n\n') });
+        } else {
+            if (instructions) messages.push({ role: 'system', content: instructions });
+            if (system) rest.unshift(system);
+        }
+
+        const toolNamesById = new Map();
+        for (const message of rest) {
+            if (message.role === 'assistant' && message.tool_calls) {
+                message.tool_calls.forEach(call => toolNamesById.set(call.id, call.function.name));
+                const calls = message.tool_calls.map(call => `<${TOOL_CALL_TAG}>${JSON.stringify({ tool: call.function.name, arguments: this._parseArguments(call.function.arguments) })}</${TOOL_CALL_TAG}>`);
+                messages.push({ role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n') });
+            } else if (message.role === 'tool') {
+                const result = `<${TOOL_RESULT_TAG} name="${toolNamesById.get(message.tool_call_id) || 'unknown'}">${message.content}</${TOOL_RESULT_TAG}>`;
+                const previous = messages[messages.length - 1];
+                if (previous?.role === 'user' && previous.content.startsWith(`<${TOOL_RESULT_TAG}`)) {
+                    previous.content += `\n${result}`; // Results of one response go back together
+                } else {
+                    messages.push({ role: 'user', content: result });
+                }
+            } else {
+                messages.push({ role: message.role, content: message.content });
+            }
+        }
+        return { messages };
+    }
+
+    // Only blocks naming one of the offered `toolNames` count as calls: <tool_call> blocks, or fenced (or
+    // bare) JSON when the reply is nothing else. JSON shown as part of an answer (e.g. an example) stays
+    // in the content and never runs a tool.
+    parseResponse(message, { toolNames = [] } = {}) {
+        const text = message.content || '';
+        const toolCalls = [];
+        const callBlocks = [];
+        for (const block of this._callBlocks(text)) {
+            const call = this._toToolCall(block.json);
+            if (!call || !toolNames.includes(call.function.name)) continue;
+            toolCalls.push(call);
+            callBlocks.push(block);
+        }
+        if (toolCalls.length === 0) {
+            return { content: message.content ?? null, toolCalls };
+        }
+
+        // Whatever the model wrote around its calls stays the message content
+        let content = text;
+        for (const block of [...callBlocks].reverse()) {
+            content = content.slice(0, block.start) + content.slice(block.end);
+        }
+        return { content: content.trim() || null, toolCalls };
+    }
+
+    // The candidate call blocks of a text, as [{ json, start, end }]
+    _callBlocks(text) {
+        const pattern = new RegExp(`<${TOOL_CALL_TAG}>([\\s\\S]*?)</${TOOL_CALL_TAG}>`, 'g');
+        const tagged = [...text.matchAll(pattern)].map(match => ({ json: match[1].trim(), start: match.index, end: match.index + match[0].length }));
+        if (tagged.length > 0) {
+            return tagged;
+        }
+        // Models that ignore the protocol often reply with just a fenced JSON call
+        const fenced = extractJsonBlocks(text);
+        let rest = text;
+        for (const block of [...fenced].reverse()) {
+            rest = rest.slice(0, block.start) + rest.slice(block.end);
+        }
+        return rest.trim() ? [] : fenced;
+    }
+
+    // { "tool": name, "arguments": {...} }, also accepting "name" and "args"/"parameters".
+    // Unparseable JSON still becomes a call if the tool name can be recovered, so the Agent
+    // reports the broken arguments back to the model.
+    _toToolCall(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch {
+            const name = /"(?:tool|name)"\s*:\s*"([^"]+)"/.exec(json)?.[1];
+            return name ? this._call(name, json) : null;
+        }
+        const name = parsed?.tool ?? parsed?.name;
+        if (typeof name !== 'string' || !name) {
+            return null;
+        }
+        const args = parsed.arguments ?? parsed.args ?? parsed.parameters ?? {};
+        return this._call(name, typeof args === 'string' ? args : JSON.stringify(args));
+    }
+
+    _call(name, args) {
+        return { id: `call_${uuidv4()}`, type: 'function', function: { name, arguments: args } };
+    }
+
+    _parseArguments(args) {
+        try {
+            return JSON.parse(args || '{}');
+        } catch {
+            return args;
+        }
+    }
+
+    _instructions(tools) {
+        const toolList = tools.map(({ function: fn }) => `- ${fn.name}: ${fn.description}\n  parameters: ${JSON.stringify(fn.parameters)}`).join('\n');
+        return `You can call the following tools:\n${toolList}\n\n`
+            + `To call a tool, reply with a block like this and nothing else:\n`
+            + `<${TOOL_CALL_TAG}>{"tool": "<tool name>", "arguments": { ... }}</${TOOL_CALL_TAG}>\n`
+            + `Use one block per call to call several tools at once. The results come back in <${TOOL_RESULT_TAG}> blocks. `
+            + `When you can answer without a tool, reply with plain text and no ${TOOL_CALL_TAG} block.`;
+    }
+}
@@ -0,0 +1,147 @@
+// --- Tool Importers ---
+// Convert external tool descriptions into tool definitions that ToolManager can store and retrieve.
+// Imported tools have no sandboxed implementation: they describe operations that live elsewhere,
+// and `source` records where (HTTP operation or MCP server tool).
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SAFE_HTTP_METHODS = ['get', 'head', 'options', 'trace'];
+
+// "getUserById" / "GET /users/{id}" -> "get_user_by_id" / "get_users_id"
+export function toSnakeCase(text) {
+    const snake = String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    if (!snake) return 'tool';
+    return /^[0-9]/.test(snake) ? `tool_${snake}` : snake;
+}
+
+// Every property needs a description to pass validation; fall back to its name
+function describeProperties(schema) {
+    if (!schema || typeof schema !== 'object' || !schema.properties) return schema;
+    const properties = {};
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+        properties[name] = propertySchema?.description ? propertySchema : { ...propertySchema, description: name };
+    }
+    return { ...schema, properties };
+}
+
+// --- OpenAPI 3 ---
+// Resolve local "#/..." references, leaving recursive ones as a plain object schema
+function resolveRefs(value, document, seen = new Set()) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveRefs(item, document, seen));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (typeof value.$ref === 'string') {
+        if (!value.$ref.startsWith('#/') || seen.has(value.$ref)) {
+            return { type: 'object', description: `See ${value.$ref}` };
+        }
+        const target = value.$ref.slice(2).split('/')
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, part) => node?.[part], document);
+        if (target === undefined) {
+            throw new Error(`Unresolvable reference '${value.$ref}' in OpenAPI document.`);
+        }
+        return resolveRefs(target, document, new Set([...seen, value.$ref]));
+    }
+    const resolved = {};
+    for (const [key, child] of Object.entries(value)) {
+        resolved[key] = resolveRefs(child, document, seen);
+    }
+    return resolved;
+}
+
+// Turn each operation of an OpenAPI 3 document into a tool definition.
+// Path, query and header parameters become properties; a JSON request body becomes a `body` property.
+// Ids are derived from the API title and operation, so importing the same document again hits the same tools.
+export function openApiToToolDefinitions(document, { serverUrl } = {}) {
+    if (!document || typeof document !== 'object' || !String(document.openapi || '').startsWith('3.')) {
+        throw new Error("Expected an OpenAPI 3.x document (with an 'openapi: 3.x' field).");
+    }
+    const baseUrl = serverUrl || document.servers?.[0]?.url || '';
+    const apiName = toSnakeCase(document.info?.title || 'api');
+    const definitions = [];
+
+    for (const [path, pathItem] of Object.entries(document.paths || {})) {
+        const resolvedPathItem = resolveRefs(pathItem, document);
+        for (const method of HTTP_METHODS) {
+            const operation = resolvedPathItem[method];
+            if (!operation) continue;
+
+            const properties = {};
+            const required = [];
+            // Operation-level parameters override path-level ones with the same name and location
+            const parameters = [...(resolvedPathItem.parameters || []), ...(operation.parameters || [])]
+                .filter(param => ['path', 'query', 'header'].includes(param.in));
+            for (const param of parameters) {
+                properties[param.name] = {
+                    ...(param.schema || { type: 'string' }),
+                    description: param.description || `${param.in} parameter '${param.name}'`,
+                };
+                if ((param.required || param.in === 'path') && !required.includes(param.name)) {
+                    required.push(param.name);
+                }
+            }
+            const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+            if (bodySchema) {
+                properties.body = {
+                    ...describeProperties(bodySchema),
+                    description: operation.requestBody.description || bodySchema.description || 'JSON request body.',
+                };
+                if (operation.requestBody.required) required.push('body');
+            }
+
+            const name = toSnakeCase(operation.operationId || `${method} ${path}`);
+            definitions.push({
+                id: `openapi:${apiName}:${name}`,
+                name,
+                description: [operation.summary, operation.description].filter(Boolean).join(' - ') || `${method.toUpperCase()} ${path}`,
+                parameters: { type: 'object', properties, ...(required.length > 0 ? { required } : {}) },
+                type: 'openapi',
+                ...(Array.isArray(operation.tags) && operation.tags.length > 0 ? { tags: operation.tags.map(String) } : {}),
+                // Safe methods only read; everything else is assumed to change something on the server
+                capabilities: ['network', SAFE_HTTP_METHODS.includes(method) ? 'read_only' : 'side_effects'],
+                source: { kind: 'openapi', method: method.toUpperCase(), path, serverUrl: baseUrl, operationId: operation.operationId || null },
+            });
+        }
+    }
+    return definitions;
+}
+
+// --- MCP ---
+// Turn an MCP `tools/list` response into tool definitions. Accepts the JSON-RPC response
+// ({ result: { tools } }), its result ({ tools }) or the bare tools array. Ids are derived from the server name.
+export function mcpToolsToToolDefinitions(response, { serverName = 'mcp' } = {}) {
+    const tools = Array.isArray(response) ? response : (response?.result?.tools ?? response?.tools);
+    if (!Array.isArray(tools)) {
+        throw new Error("Expected an MCP 'tools/list' response containing a 'tools' array.");
+    }
+    return tools.map(tool => {
+        // Tool parameters are validated as draft-07; the keywords MCP servers use read the same there,
+        // but a `$schema` naming another draft (e.g. 2020-12) would make Ajv look for its meta-schema
+        const { $schema, ...inputSchema } = tool.inputSchema || {};
+        return {
+            id: `mcp:${toSnakeCase(serverName)}:${tool.name}`,
+            name: toSnakeCase(tool.name),
+            description: tool.description || tool.title || tool.name,
+            parameters: describeProperties({ type: 'object', properties: {}, ...inputSchema }),
+            type: 'mcp',
+            capabilities: mcpCapabilities(tool.annotations),
+            source: { kind: 'mcp', server: serverName, toolName: tool.name },
+        };
+    });
+}
+
+// Capabilities from MCP tool annotations, using the spec's defaults: a tool has side effects unless
+// `readOnlyHint` is set, and talks to the outside world unless `openWorldHint` is false
+function mcpCapabilities(annotations) {
+    return [
+        annotations?.readOnlyHint === true ? 'read_only' : 'side_effects',
+        ...(annotations?.openWorldHint !== false ? ['network'] : []),
+    ];
+}
@@ -1,25 +1,56 @@
-import { ChromaClient, OpenAIEmbeddingFunction } from 'chromadb';
 import { v4 as uuidv4 } from 'uuid';
 import OpenAI from 'openai'; // Used here for the creation logic
+import { runInSandbox } from './sandbox.js';
+import { validateToolDefinition, validateToolArguments } from './schemaValidation.js';
+import { verifyTool } from './toolVerification.js';
+import { openApiToToolDefinitions, mcpToolsToToolDefinitions } from './toolImporters.js';
+import { createToolStore, cosineSimilarity } from './toolStores.js';
+import { rankTools, usageAdjustment, mentionedToolNames } from './toolRetrieval.js';
+import { extractJsonBlocks } from './toolCalling.js';
+import { resolveReferences } from './workflows.js';
+import { ToolPolicy, TOOL_CAPABILITIES, loadPolicyConfig, effectiveCapabilities } from './policy.js';
+import { FileAuditLog } from './auditLog.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { CassetteMissError } from './cassettes.js';
 
 // --- Configuration ---
-// ChromaDB setup (run ChromaDB instance, e.g., via Docker: docker run -p 8000:8000 chromadb/chroma)
-const CHROMA_URL = process.env.CHROMA_URL || "http://localhost:8000";
-const COLLECTION_NAME = "agent_tools";
-// Use OpenAI Embedding Function (requires OPENAI_API_KEY)
-// Or replace with a different embedding function if needed (e.g., Ollama's)
-// NOTE: For local models (Ollama), you might need a different embedding strategy
-// if you don't want to rely on OpenAI's embedding API. This example uses OpenAI's.
-// Ensure OPENAI_API_KEY is set in your environment variables.
-// If using Ollama/vLLM for *embeddings* as well, you'd need a custom embedding function.
-const embedder = process.env.OPENAI_API_KEY
-    ? new OpenAIEmbeddingFunction({ openai_api_key: process.env.OPENAI_API_KEY })
-    : null; // Add fallback or error handling if needed
+// Tool storage is pluggable (see toolStores.js): ChromaDB by default, or a local
+// file / in-memory store via TOOL_STORE=file|memory or the `store` constructor option.
+// Embeddings are pluggable too (see embeddings.js): OpenAI when OPENAI_API_KEY is set,
+// any OpenAI-compatible /v1/embeddings endpoint (Ollama, vLLM) or an offline hashing embedder.
+// Select one with EMBEDDING_PROVIDER or the `embedder` constructor option.
+const MAX_WORKFLOW_DEPTH = 5; // Composite tools calling composite tools, see workflows.js
+const MAX_BUILDING_BLOCKS = 5; // Existing tools offered to the creation LLM for composite tools
+const REEMBED_RETRY_MS = 60 * 1000; // Wait before retrying a failed re-embedding of stored tools
+const RETRIEVAL_CANDIDATES = 4; // Vector candidates fetched per requested tool, re-ranked with BM25
+const MIN_RETRIEVAL_CANDIDATES = 20;
 
+// --- Tool Lifecycle ---
+// Every stored tool carries `status`, `version`, `createdAt` and `updatedAt`.
+// Only 'active' tools are offered by getAvailableTools by default:
+//   'draft'      - generated, its examples haven't been verified yet
+//   'failing'    - its examples failed verification
+//   'deprecated' - stays stored but hidden
+export const TOOL_STATUSES = ['active', 'draft', 'failing', 'deprecated'];
+// A new version that changes any of these has to pass verification again
+const VERIFIED_FIELDS = ['implementation', 'steps', 'output', 'parameters', 'examples'];
+
+// executeTool runs sandboxed implementations and composite steps. Imported OpenAPI/MCP tools without an
+// implementation have no executor yet: retrieval finds them, but agents are never offered them.
+export function isExecutableTool(tool) {
+    return tool.type === 'composite' || Boolean(tool.implementation);
+}
+
+// --- Tool Bundles ---
+// Versioned JSON format used by exportTools/importTools:
+// { format, version, exportedAt, tools: [{ definition, history }] }
+export const TOOL_BUNDLE_FORMAT = 'tool-creation-tool/bundle';
+export const TOOL_BUNDLE_VERSION = 1;
+const IMPORT_CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
 
 // --- Core Tool Definition: ToolCreationTool ---
-const TOOL_CREATION_TOOL_ID = 'core_create_tool_001';
-const TOOL_CREATION_TOOL_DEF = {
+export const TOOL_CREATION_TOOL_ID = 'core_create_tool_001';
+export const TOOL_CREATION_TOOL_DEF = {
     id: TOOL_CREATION_TOOL_ID,
     name: 'create_new_tool',
     description: 'Creates a definition for a new tool based on a natural language description of the desired functionality. It generates the tool name, description, and JSON parameter schema.',
@@ -42,59 +73,217 @@ const TOOL_CREATION_TOOL_DEF = {
 
 // --- Tool Manager Class ---
 export class ToolManager {
-    constructor(llmClient) {
-        if (!embedder) {
-            console.warn("Warning: OpenAI API Key not found. Embeddings and ChromaDB operations requiring embeddings will fail. Set OPENAI_API_KEY environment variable.");
-            // Depending on requirements, you might throw an error or use a dummy embedder
+    // options.store: a tool store instance (see toolStores.js); defaults to createToolStore()
+    // options.embedder: an embedding provider (see embeddings.js); defaults to createEmbeddingProvider(),
+    //                   pass null to store tools without vectors and retrieve them by keyword matching only
+    // options.sandbox: { timeoutMs, memoryLimitMb } limits for executing generated tools
+    // options.maxRepairAttempts: how often an invalid generated definition is sent back to the LLM for fixing
+    // options.duplicateThreshold: similarity (0-1) from which a generated tool counts as a near-duplicate of a stored one
+    // options.minRetrievalScore: default minimum score (0-1) for getAvailableTools
+    // options.retrievalVectorWeight: default share (0-1) of vector similarity vs. keyword matching in retrieval scores
+    // options.usageRanking: let getAvailableTools boost reliable tools and demote failing ones by default
+    // options.policy: a ToolPolicy or its config (see policy.js); defaults to the file at TOOL_POLICY_PATH, else allow all
+    // options.approver: async ({ action, tool, args, reasons }) => boolean, asked when the policy says 'approve';
+    //                   without one, such requests are denied
+    // options.auditLog: where policy decisions are appended; defaults to a FileAuditLog when a policy or AUDIT_LOG_PATH
+    //                   is configured, null to disable
+    // options.auditArgs: also write the arguments of executed tools to the audit log (off by default, they may hold secrets)
+    constructor(llmClient, options = {}) {
+        this.embedder = options.embedder !== undefined ? options.embedder : createEmbeddingProvider();
+        if (!this.embedder) {
+            console.warn("Warning: No embedding provider configured. Tools will be stored without embeddings and retrieved by keyword matching only.");
+        } else {
+            console.log(`Using embedding provider: ${this.embedder.id}`);
         }
-        this.chromaClient = new ChromaClient({ path: CHROMA_URL });
-        this.collection = null;
+        this.store = options.store || createToolStore({ embeddingFunction: this.embedder || undefined });
+        this._initPromise = null;
+        this._reembedRetryAt = null; // When to retry a failed re-embedding of stored tools
+        this._upgradePromise = null;
         this.llmClient = llmClient; // LLM client for executing tool creation
+        this.sandboxOptions = options.sandbox || {};
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+        this.duplicateThreshold = options.duplicateThreshold ?? 0.9;
+        this.minRetrievalScore = options.minRetrievalScore ?? 0;
+        this.retrievalVectorWeight = options.retrievalVectorWeight ?? 0.6;
+        this.usageRanking = options.usageRanking ?? false;
+        this._recordLocks = new Map(); // Tool id -> tail of the queue of writes to that tool's record, see _withRecordLock
+        const policyConfig = options.policy ?? loadPolicyConfig();
+        this.policy = policyConfig instanceof ToolPolicy ? policyConfig : new ToolPolicy(policyConfig ?? {});
+        this.hasPolicy = policyConfig != null; // Without a policy everything is allowed
+        this.approver = options.approver ?? null;
+        this.auditLog = options.auditLog !== undefined
+            ? options.auditLog
+            : (this.hasPolicy || process.env.AUDIT_LOG_PATH ? new FileAuditLog() : null);
+        this.auditArgs = options.auditArgs ?? false;
     }
 
-    async _getOrCreateCollection() {
-        if (!this.collection) {
-            if (!embedder) {
-                throw new Error("Cannot create collection without an embedding function. Ensure OPENAI_API_KEY is set.");
-            }
-            try {
-                this.collection = await this.chromaClient.getOrCreateCollection({
-                    name: COLLECTION_NAME,
-                    embeddingFunction: embedder,
-                    metadata: { "hnsw:space": "cosine" } // Use cosine distance
-                });
-                console.log(`Connected to ChromaDB collection: ${COLLECTION_NAME}`);
-            } catch (error) {
-                console.error("Error connecting to ChromaDB:", error);
-                throw new Error("Could not connect to or create ChromaDB collection.");
-            }
+    // Connect/load the store and make sure the core tool exists. Safe to call repeatedly.
+    async initialize() {
+        if (!this._initPromise) {
+            this._initPromise = (async () => {
+                await this.store.init();
+                await this._upgradeStoredTools();
+                await this.ensureToolCreationTool();
+            })();
+            // Allow a retry on the next call if initialization failed (e.g., store unreachable)
+            this._initPromise.catch(() => { this._initPromise = null; });
         }
-         // Ensure the core tool creation tool definition exists
-         await this.ensureToolCreationTool();
-        return this.collection;
+        await this._initPromise;
+
+        // A re-embedding that failed during initialization is retried once its wait is over
+        if (this._reembedRetryAt && Date.now() >= this._reembedRetryAt) {
+            this._reembedRetryAt = null;
+            this._upgradePromise = this._upgradeStoredTools()
+                .catch(error => console.error("Error upgrading stored tools:", error))
+                .finally(() => { this._upgradePromise = null; });
+        }
+        await this._upgradePromise;
+        return this.store;
+    }
+
+    // Kept for existing callers; use initialize()
+    async _getOrCreateCollection() {
+        return this.initialize();
     }
 
     // Ensure the core ToolCreationTool is always present
+    // Called during initialize(), so it talks to the store directly.
     async ensureToolCreationTool() {
-        const collection = await this._getOrCreateCollection();
         try {
-            const existing = await collection.get({ ids: [TOOL_CREATION_TOOL_ID] });
-            if (existing.ids.length === 0) {
+            const existing = await this.store.get([TOOL_CREATION_TOOL_ID]);
+            if (existing.length === 0) {
                 console.log(`Core tool '${TOOL_CREATION_TOOL_DEF.name}' not found. Adding it.`);
-                await this.addTool(TOOL_CREATION_TOOL_DEF, true); // Add without generating embedding text if it's core
+                await this._storeTool(this._withLifecycleFields({ ...TOOL_CREATION_TOOL_DEF }));
             }
         } catch (error) {
-             // Handle cases where the collection might be empty or other get errors
-             if (error.message?.includes("not found")) { // Simple check
-                 console.log(`Core tool '${TOOL_CREATION_TOOL_DEF.name}' not found (initial add). Adding it.`);
-                 await this.addTool(TOOL_CREATION_TOOL_DEF, true);
-             } else {
-                console.error("Error checking/adding core tool:", error);
-             }
+            console.error("Error checking/adding core tool:", error);
+        }
+    }
+
+    // Embed texts with the configured embedder, or return null if there is none
+    async _embed(texts) {
+        if (!this.embedder) return null;
+        return this.embedder.generate(texts);
+    }
+
+    // Bring tools written by older versions up to date:
+    // - fill in lifecycle fields (status, version) missing on tools stored before versioning existed
+    // - re-embed tools whose vectors came from a different embedding model/dimension (or none),
+    //   so similarity search never compares vectors from different spaces
+    // A failed re-embedding keeps the old vectors and is retried after REEMBED_RETRY_MS (see initialize).
+    async _upgradeStoredTools() {
+        const records = await this.store.list();
+
+        const outdated = records.filter(record => !record.tool.status || !record.tool.version);
+        for (const record of outdated) {
+            record.tool.status = record.tool.status || 'active';
+            record.tool.version = record.tool.version || 1;
+        }
+
+        const stale = this.embedder
+            ? records.filter(record => !record.embedding || record.embeddingModel !== this.embedder.id)
+            : [];
+        if (stale.length > 0) {
+            try {
+                console.log(`Re-embedding ${stale.length} of ${records.length} stored tools with '${this.embedder.id}'.`);
+                const embeddings = await this._embed(stale.map(record => record.document || `${record.tool.name}: ${record.tool.description}`));
+                const reembedded = new Map(stale.map((record, i) => [record.id, {
+                    ...record,
+                    document: record.document || `${record.tool.name}: ${record.tool.description}`,
+                    embedding: embeddings[i],
+                    embeddingModel: this.embedder.id,
+                }]));
+                // Replace the whole store: some backends (Chroma) can't hold vectors of two dimensions
+                await this.store.replaceAll(records.map(record => reembedded.get(record.id) || record));
+                return;
+            } catch (error) {
+                if (error instanceof CassetteMissError) throw error; // A diverged replay fails here, not later
+                console.error(`Re-embedding stored tools failed; keeping their old vectors and retrying in ${REEMBED_RETRY_MS / 1000}s:`, error);
+                this._reembedRetryAt = Date.now() + REEMBED_RETRY_MS;
+            }
+        }
+        if (outdated.length > 0) {
+            await this.store.upsert(outdated);
         }
     }
 
-    // Add or update a tool definition in ChromaDB
+    // Set lifecycle fields on a tool definition that is stored for the first time
+    _withLifecycleFields(toolDefinition) {
+        const now = new Date().toISOString();
+        toolDefinition.status = toolDefinition.status || 'active';
+        toolDefinition.version = 1;
+        toolDefinition.createdAt = now;
+        toolDefinition.updatedAt = now;
+        return toolDefinition;
+    }
+
+    // Write a tool definition to the store, computing its embedding.
+    // `history` holds the previous versions of the definition, oldest first; `stats` its usage telemetry.
+    async _storeTool(toolDefinition, history = [], stats = null) {
+        // Use name + description for embedding, but store the full definition
+        const embeddingText = `${toolDefinition.name}: ${toolDefinition.description}`;
+        const embeddings = await this._embed([embeddingText]);
+        await this.store.upsert([{
+            id: toolDefinition.id,
+            tool: toolDefinition,
+            document: embeddingText, // Text used for embedding/search
+            embedding: embeddings ? embeddings[0] : null,
+            embeddingModel: embeddings ? this.embedder.id : null,
+            history,
+            stats,
+        }]);
+        return toolDefinition;
+    }
+
+    // Store `changes` on top of an existing record as a new version, archiving the current one.
+    // New code or examples drop the old verification and make the tool a draft again (deprecated
+    // tools stay deprecated); see _verifyNewVersion.
+    // Like _updateToolFields, call it under _withRecordLock with a record read under the same lock.
+    async _storeNewVersion(record, changes) {
+        const previous = record.tool;
+        const tool = {
+            ...previous,
+            ...changes,
+            id: previous.id, // Identity and origin can't change between versions
+            type: previous.type,
+            version: (previous.version || 1) + 1,
+            createdAt: previous.createdAt,
+            updatedAt: new Date().toISOString(),
+        };
+        if (VERIFIED_FIELDS.some(field => JSON.stringify(tool[field]) !== JSON.stringify(previous[field]))) {
+            delete tool.verification;
+            if (tool.status !== 'deprecated') tool.status = 'draft';
+        }
+        return this._storeTool(tool, [...(record.history || []), previous], record.stats);
+    }
+
+    // Verify a new version whose code or examples changed (a draft without a verification), outside the record lock
+    async _verifyNewVersion(tool) {
+        return tool.status === 'draft' && !tool.verification && isExecutableTool(tool)
+            ? this.verifyStoredTool(tool.id)
+            : tool;
+    }
+
+    // Run `fn` after every earlier write to the tool's record has finished. Every read-modify-write of a
+    // record (definition, status, verification, usage stats) goes through here, so none of them can
+    // overwrite another's changes with a stale copy of the record.
+    async _withRecordLock(id, fn) {
+        const run = (this._recordLocks.get(id) || Promise.resolve()).then(fn);
+        const tail = run.catch(() => {});
+        this._recordLocks.set(id, tail);
+        tail.then(() => {
+            if (this._recordLocks.get(id) === tail) this._recordLocks.delete(id);
+        });
+        return run;
+    }
+
+    // Resolves once the writes queued so far (for every tool) have finished
+    async _pendingWrites() {
+        await Promise.all(this._recordLocks.values());
+    }
+
+    // Add a tool definition to the store.
+    // Adding a definition with the id of an existing tool stores it as a new version of that tool.
     async addTool(toolDefinition, isCore = false) {
         if (!toolDefinition.id) {
             toolDefinition.id = uuidv4(); // Assign unique ID if missing
@@ -103,96 +292,615 @@ export class ToolManager {
              toolDefinition.type = isCore ? 'core' : 'llm_generated';
         }
 
-        const collection = await this._getOrCreateCollection();
+        await this.initialize();
 
-        // Use description for embedding, but store the full definition in metadata
-        // For the core tool, we might not need to embed its description if retrieval isn't the goal,
-        // but it's simpler to embed it anyway.
-        const embeddingText = `${toolDefinition.name}: ${toolDefinition.description}`;
+        const referenceErrors = await this._checkWorkflowReferences(toolDefinition);
+        if (referenceErrors.length > 0) {
+            throw new Error(`Composite tool '${toolDefinition.name}' is invalid:\n- ${referenceErrors.join('\n- ')}`);
+        }
+        await this._deriveCompositeCapabilities(toolDefinition);
 
         try {
-            await collection.upsert({
-                ids: [toolDefinition.id],
-                metadatas: [{ ...toolDefinition }], // Store full definition
-                documents: [embeddingText], // Text used for embedding/search
+            const { tool, updated } = await this._withRecordLock(toolDefinition.id, async () => {
+                const [existing] = await this.store.get([toolDefinition.id]);
+                if (existing) {
+                    const updatedTool = await this._storeNewVersion(existing, toolDefinition);
+                    console.log(`Tool '${updatedTool.name}' (ID: ${updatedTool.id}) updated to version ${updatedTool.version} in RAG.`);
+                    return { tool: updatedTool, updated: true };
+                }
+                await this._storeTool(this._withLifecycleFields(toolDefinition));
+                console.log(`Tool '${toolDefinition.name}' (ID: ${toolDefinition.id}) added/updated in RAG.`);
+                return { tool: toolDefinition, updated: false };
             });
-            console.log(`Tool '${toolDefinition.name}' (ID: ${toolDefinition.id}) added/updated in RAG.`);
-            return toolDefinition;
+            return updated ? await this._verifyNewVersion(tool) : tool;
         } catch (error) {
-            console.error(`Error adding/updating tool '${toolDefinition.name}' to ChromaDB:`, error);
+            console.error(`Error adding/updating tool '${toolDefinition.name}' in the tool store:`, error);
             throw error; // Re-throw for caller handling
         }
     }
 
     // Retrieve a specific tool by ID
     async getTool(id) {
-        const collection = await this._getOrCreateCollection();
+        await this.initialize();
         try {
-            const results = await collection.get({ ids: [id], include: ["metadatas"] });
-            if (results.ids.length > 0) {
-                return results.metadatas[0];
-            }
-            return null;
+            const [record] = await this.store.get([id]);
+            return record ? record.tool : null;
         } catch (error) {
             console.error(`Error retrieving tool ID '${id}':`, error);
             return null;
         }
     }
 
-    // Get tools relevant to a context, always including ToolCreationTool first
-    async getAvailableTools(context, maxResults = 5) {
-        const collection = await this._getOrCreateCollection(); // Also ensures core tool exists
+    // Retrieve a tool by name, among tools with one of the given statuses (default: only 'active')
+    async getToolByName(name, { statuses = ['active'] } = {}) {
+        await this.initialize();
+        const [record] = await this.store.list({ where: { name, status: statuses } });
+        return record ? record.tool : null;
+    }
 
-        let relevantTools = [];
-        if (context && embedder) { // Only query if context and embedder are available
+    // List stored tools, optionally filtered by `type` and `status`, sorted by creation time.
+    // Returns { tools, total } where `total` counts all matches before pagination.
+    async listTools({ type, status, limit = 50, offset = 0 } = {}) {
+        await this.initialize();
+        const where = {};
+        if (type) where.type = type;
+        if (status) where.status = status;
+
+        const records = await this.store.list(Object.keys(where).length > 0 ? { where } : {});
+        const tools = records
+            .map(record => record.tool)
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '') || a.name.localeCompare(b.name));
+        return { tools: tools.slice(offset, offset + limit), total: tools.length };
+    }
+
+    // Update a tool definition, keeping the current one in its version history
+    // New code or examples are verified again before the tool is offered (see _storeNewVersion).
+    async updateTool(id, changes) {
+        await this.initialize();
+        const tool = await this._withRecordLock(id, () => this._updateTool(id, changes));
+        return this._verifyNewVersion(tool);
+    }
+
+    async _updateTool(id, changes) {
+        const [record] = await this.store.get([id]);
+        if (!record) {
+            throw new Error(`Tool with ID '${id}' not found.`);
+        }
+        if (record.tool.type === 'core') {
+            throw new Error(`Tool '${record.tool.name}' is a core tool and cannot be modified.`);
+        }
+
+        const candidate = { ...record.tool, ...changes };
+        const errors = [
+            ...validateToolDefinition(candidate, { requireImplementation: candidate.type === 'llm_generated' }),
+            ...(await this._checkWorkflowReferences(candidate)),
+        ];
+        if (errors.length > 0) {
+            throw new Error(`Updated tool definition is invalid:\n- ${errors.join('\n- ')}`);
+        }
+        if (candidate.type === 'composite') {
+            changes = { ...changes, capabilities: (await this._deriveCompositeCapabilities(candidate)).capabilities };
+        }
+        if (candidate.status && !TOOL_STATUSES.includes(candidate.status)) {
+            throw new Error(`Unknown tool status '${candidate.status}'. Use one of: ${TOOL_STATUSES.join(', ')}.`);
+        }
+
+        const updatedTool = await this._storeNewVersion(record, changes);
+        console.log(`Tool '${updatedTool.name}' (ID: ${id}) updated to version ${updatedTool.version}.`);
+        return updatedTool;
+    }
+
+    // All versions of a tool, oldest first; the last entry is the current definition
+    async getToolHistory(id) {
+        await this.initialize();
+        const [record] = await this.store.get([id]);
+        if (!record) {
+            throw new Error(`Tool with ID '${id}' not found.`);
+        }
+        return [...(record.history || []), record.tool];
+    }
+
+    // Restore the definition of an earlier version. The restored definition is saved as a
+    // new version, so the rollback itself can be undone.
+    async rollbackTool(id, version) {
+        const history = await this.getToolHistory(id);
+        const target = history.find(tool => tool.version === version);
+        if (!target) {
+            throw new Error(`Tool with ID '${id}' has no version ${version}. Available: ${history.map(tool => tool.version).join(', ')}.`);
+        }
+        const current = history[history.length - 1];
+        if (target === current) {
+            return current;
+        }
+
+        // _storeNewVersion assigns a fresh version number and timestamps
+        const restoredTool = await this._withRecordLock(id, async () => {
+            const [record] = await this.store.get([id]);
+            return this._storeNewVersion(record, target);
+        });
+        console.log(`Tool '${restoredTool.name}' (ID: ${id}) rolled back to version ${version} (now version ${restoredTool.version}).`);
+        return this._verifyNewVersion(restoredTool);
+    }
+
+    // Change a tool's status without creating a new version
+    async setToolStatus(id, status) {
+        if (!TOOL_STATUSES.includes(status)) {
+            throw new Error(`Unknown tool status '${status}'. Use one of: ${TOOL_STATUSES.join(', ')}.`);
+        }
+        await this.initialize();
+        const tool = await this._withRecordLock(id, async () => {
+            const [record] = await this.store.get([id]);
+            if (!record) {
+                throw new Error(`Tool with ID '${id}' not found.`);
+            }
+            if (record.tool.type === 'core') {
+                throw new Error(`Tool '${record.tool.name}' is a core tool and its status cannot be changed.`);
+            }
+            return this._updateToolFields(record, { status });
+        });
+        console.log(`Tool '${tool.name}' (ID: ${id}) is now ${status}.`);
+        return tool;
+    }
+
+    // Change bookkeeping fields (status, verification, ...) of a stored tool in place, without
+    // creating a new version or re-embedding it. Call it under _withRecordLock.
+    async _updateToolFields(record, fields) {
+        Object.assign(record.tool, fields, { updatedAt: new Date().toISOString() });
+        await this.store.upsert([record]);
+        return record.tool;
+    }
+
+    // --- Verification ---
+    // Run a stored tool's examples (see toolVerification.js) and record the result in `verification`.
+    // Draft, active and failing tools become 'active' when all examples pass and 'failing' otherwise;
+    // deprecated tools keep their status. Returns the tool; if it could not be verified (the policy refused
+    // an example run, or the tool changed meanwhile), the returned copy also has `verified: false` and a `reason`.
+    async verifyStoredTool(id) {
+        await this.initialize();
+        const [record] = await this.store.get([id]);
+        if (!record) {
+            throw new Error(`Tool with ID '${id}' not found.`);
+        }
+        if (record.tool.type === 'core' || !isExecutableTool(record.tool)) {
+            return record.tool; // Core tools have no examples to verify; imported tools without an executor can't run them
+        }
+
+        // Every example (and every step of a composite) is checked against the policy like a real call;
+        // only the usage stats are left alone. A refused example leaves the tool unverified.
+        let denial = null;
+        const runExample = async (args) => {
+            const outcome = await this._executeStoredTool(record.tool, args, { callStack: [], verifying: true });
+            if (outcome.denied) denial ??= outcome.error;
+            if (outcome.error) throw new Error(outcome.error);
+            return outcome.result;
+        };
+        const verification = await verifyTool(record.tool, this.sandboxOptions, runExample);
+        if (denial) {
+            console.warn(`Tool '${record.tool.name}' was not verified: ${denial}`);
+            return { ...record.tool, verified: false, reason: denial };
+        }
+
+        // The examples ran without holding the lock, so re-read the record before writing the result
+        return this._withRecordLock(id, async () => {
+            const [current] = await this.store.get([id]);
+            if (!current || current.tool.version !== record.tool.version) {
+                console.warn(`Tool '${record.tool.name}' changed while it was being verified; its verification result was discarded.`);
+                return { ...(current ? current.tool : record.tool), verified: false, reason: 'The tool changed while it was being verified.' };
+            }
+            const status = current.tool.status === 'deprecated'
+                ? 'deprecated'
+                : (verification.passed ? 'active' : 'failing');
+            await this._updateToolFields(current, { status, verification });
+
+            if (verification.passed) {
+                console.log(`Tool '${current.tool.name}' passed verification (${verification.passedCount}/${verification.total} examples).`);
+            } else {
+                console.warn(`Tool '${current.tool.name}' failed verification (${verification.passedCount}/${verification.total} examples): ${verification.failures.map(f => f.error).join(' | ')}`);
+            }
+            return current.tool;
+        });
+    }
+
+    // Re-run verification for every stored non-core tool that can run, e.g. after a model or runtime change.
+    // Returns { total, passed, failed, results: [{ id, name, passed, status }], skipped: [{ id, name, reason }] },
+    // where `skipped` lists the tools that could not be verified (they are not counted in `total`).
+    async verifyAllTools() {
+        await this.initialize();
+        const records = await this.store.list();
+        const results = [];
+        const skipped = [];
+        for (const record of records.filter(record => record.tool.type !== 'core' && isExecutableTool(record.tool))) {
+            const tool = await this.verifyStoredTool(record.id);
+            if (tool.verified === false) {
+                skipped.push({ id: tool.id, name: tool.name, reason: tool.reason });
+                continue;
+            }
+            results.push({ id: tool.id, name: tool.name, passed: tool.verification.passed, status: tool.status });
+        }
+        const passed = results.filter(result => result.passed).length;
+        console.log(`Verified ${results.length} tools: ${passed} passed, ${results.length - passed} failed, ${skipped.length} skipped.`);
+        return { total: results.length, passed, failed: results.length - passed, results, skipped };
+    }
+
+    // Hide a tool from retrieval while keeping it (and its history) stored
+    async deprecateTool(id) {
+        return this.setToolStatus(id, 'deprecated');
+    }
+
+    // Remove a tool and its history. Core tools can't be deleted.
+    // Returns false if the tool didn't exist.
+    async deleteTool(id) {
+        await this.initialize();
+        return this._withRecordLock(id, async () => {
+            const [record] = await this.store.get([id]);
+            if (!record) {
+                return false;
+            }
+            if (record.tool.type === 'core') {
+                throw new Error(`Tool '${record.tool.name}' is a core tool and cannot be deleted.`);
+            }
+            await this.store.delete([id]);
+            console.log(`Tool '${record.tool.name}' (ID: ${id}) deleted.`);
+            return true;
+        });
+    }
+
+    // --- Usage Telemetry ---
+    // Every executeTool call (and every executeToolCreation, counted on the core tool) updates the
+    // tool's stats record: { calls, successes, failures, consecutiveFailures, totalLatencyMs,
+    // lastLatencyMs, lastUsedAt, lastError, lastErrorAt }. Telemetry failures never fail the call.
+    async _recordUsage(id, { latencyMs, error = null }) {
+        return this._withRecordLock(id, async () => {
+            const [record] = await this.store.get([id]);
+            if (!record) return; // Deleted while running
+            const stats = record.stats || { calls: 0, successes: 0, failures: 0, consecutiveFailures: 0, totalLatencyMs: 0 };
+            const now = new Date().toISOString();
+            stats.calls += 1;
+            stats.totalLatencyMs += latencyMs;
+            stats.lastLatencyMs = latencyMs;
+            stats.lastUsedAt = now;
+            if (error) {
+                stats.failures += 1;
+                stats.consecutiveFailures += 1;
+                stats.lastError = error;
+                stats.lastErrorAt = now;
+            } else {
+                stats.successes += 1;
+                stats.consecutiveFailures = 0;
+            }
+            await this.store.upsert([{ ...record, stats }]);
+        }).catch(statsError => {
+            console.error(`Error recording usage for tool '${id}':`, statsError);
+        });
+    }
+
+    // Usage stats of one tool, or of all stored tools (most called first) when no id is given.
+    // Each entry is { id, name, type, status, calls, successes, failures, successRate, averageLatencyMs,
+    // consecutiveFailures, failing, lastUsedAt, lastError, lastErrorAt }. Returns null for an unknown id.
+    async getToolStats(id) {
+        await this.initialize();
+        await this._pendingWrites(); // Include updates still being written
+        const records = id === undefined ? await this.store.list() : await this.store.get([id]);
+        if (id !== undefined && records.length === 0) {
+            return null;
+        }
+
+        const entries = records.map(({ tool, stats }) => {
+            const { successRate, failing } = usageAdjustment(stats);
+            return {
+                id: tool.id,
+                name: tool.name,
+                type: tool.type,
+                status: tool.status,
+                calls: stats?.calls || 0,
+                successes: stats?.successes || 0,
+                failures: stats?.failures || 0,
+                successRate,
+                averageLatencyMs: stats?.calls ? stats.totalLatencyMs / stats.calls : null,
+                consecutiveFailures: stats?.consecutiveFailures || 0,
+                failing,
+                lastUsedAt: stats?.lastUsedAt || null,
+                lastError: stats?.lastError || null,
+                lastErrorAt: stats?.lastErrorAt || null,
+            };
+        });
+        return id === undefined ? entries.sort((a, b) => b.calls - a.calls) : entries[0];
+    }
+
+    // Find generated tools that haven't been used for `days` days (never-used tools count from their creation).
+    // With `archive: true` they are deprecated: hidden from retrieval but kept, and restorable with setToolStatus.
+    // Returns { cutoff, candidates: [{ id, name, status, lastUsedAt, createdAt, calls }], archived: [ids] }.
+    async pruneUnusedTools({ days = 30, archive = false } = {}) {
+        await this.initialize();
+        await this._pendingWrites();
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const records = await this.store.list({ where: { type: 'llm_generated' } });
+
+        const candidates = records
+            .filter(({ tool, stats }) => tool.status !== 'deprecated' && (stats?.lastUsedAt || tool.createdAt || '') < cutoff)
+            .map(({ tool, stats }) => ({
+                id: tool.id,
+                name: tool.name,
+                status: tool.status,
+                lastUsedAt: stats?.lastUsedAt || null,
+                createdAt: tool.createdAt || null,
+                calls: stats?.calls || 0,
+            }));
+
+        const archived = [];
+        if (archive) {
+            for (const candidate of candidates) {
+                await this.deprecateTool(candidate.id);
+                archived.push(candidate.id);
+            }
+        }
+        console.log(`Found ${candidates.length} generated tools unused since ${cutoff}${archive ? `, archived ${archived.length}` : ''}.`);
+        return { cutoff, candidates, archived };
+    }
+
+    // --- Policy ---
+    // False if the policy denies creating any tool; create_new_tool is then not offered at all
+    canCreateTools() {
+        return this.policy.allowsAction('create');
+    }
+
+    // Check an action ('create' or 'execute') on a tool against the policy, asking the approver
+    // when needed, and append the decision to the audit log.
+    // Returns { allowed, message } where `message` explains a refusal.
+    async _authorize(action, tool, { args } = {}) {
+        const { decision, reasons } = this.policy.evaluate(action, tool);
+        let outcome = decision === 'allow' ? 'allowed' : 'denied';
+        if (decision === 'approve' && this.approver) {
             try {
-                const results = await collection.query({
-                    queryTexts: [context],
-                    nResults: Math.max(1, maxResults), // Ensure at least 1 result requested
-                    include: ["metadatas"],
-                    // Optional: Filter out the core tool if needed, then add it back
-                    // where: { type: { "$ne": "core" } }
+                outcome = (await this.approver({ action, tool, args, reasons })) ? 'approved' : 'rejected';
+            } catch (error) {
+                console.error(`Approver failed for ${action} of '${tool.name}':`, error);
+                outcome = 'rejected';
+            }
+        }
+
+        const allowed = outcome === 'allowed' || outcome === 'approved';
+        const capabilities = effectiveCapabilities(tool);
+        try {
+            await this.auditLog?.append({
+                action,
+                decision,
+                outcome,
+                tool: { id: tool.id ?? null, name: tool.name, type: tool.type, capabilities },
+                reasons,
+                ...(this.auditArgs && args !== undefined ? { args } : {}),
+            });
+        } catch (error) {
+            console.error("Error writing the audit log:", error);
+            // Under a policy, an action that can't be audited doesn't happen
+            if (this.hasPolicy) {
+                return { allowed: false, message: `Policy: ${action} of tool '${tool.name}' was blocked because the audit log could not be written.` };
+            }
+        }
+
+        if (allowed) {
+            return { allowed, message: null };
+        }
+        const why = {
+            denied: decision === 'approve' ? 'requires approval, but no approver is configured' : `is denied (${reasons.join(', ')})`,
+            rejected: 'was rejected by the reviewer',
+        }[outcome];
+        console.warn(`Policy: ${action} of tool '${tool.name}' ${why}.`);
+        return { allowed, message: `Policy: ${action} of tool '${tool.name}' (${capabilities.join(', ')}) ${why}.` };
+    }
+
+    // --- Import / Export ---
+    // Export stored tools (optionally filtered by `type` and `status`) as a tool bundle.
+    // Core tools are left out: every instance creates its own.
+    async exportTools({ type, status, includeHistory = true } = {}) {
+        await this.initialize();
+        const where = {};
+        if (type) where.type = type;
+        if (status) where.status = status;
+
+        const records = await this.store.list(Object.keys(where).length > 0 ? { where } : {});
+        return {
+            format: TOOL_BUNDLE_FORMAT,
+            version: TOOL_BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            tools: records
+                .filter(record => record.tool.type !== 'core')
+                .map(record => ({ definition: record.tool, ...(includeHistory ? { history: record.history || [] } : {}) })),
+        };
+    }
+
+    // Import a tool bundle. `onConflict` decides what happens when a tool id already exists:
+    //   'skip'      - keep the stored tool (default)
+    //   'overwrite' - store the imported definition as a new version of the stored tool
+    //   'rename'    - import under a new id, disambiguating the name if it collides
+    // Tools with code (an implementation or steps) go through the same gates as generated ones: the 'create'
+    // policy, then storage as 'draft' and verification of their examples. Their exported status and
+    // verification are not trusted.
+    // Returns { imported: [{ id, name, action, status, originalId? }], skipped: [{ id, name, reason }], failed: [{ id, name, reason }] }.
+    async importTools(bundle, { onConflict = 'skip' } = {}) {
+        if (bundle?.format !== TOOL_BUNDLE_FORMAT || !Array.isArray(bundle.tools)) {
+            throw new Error(`Not a tool bundle: expected format '${TOOL_BUNDLE_FORMAT}' with a 'tools' array.`);
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version > TOOL_BUNDLE_VERSION) {
+            throw new Error(`Unsupported tool bundle version ${bundle.version}; this version reads up to ${TOOL_BUNDLE_VERSION}.`);
+        }
+        return this._importEntries(bundle.tools, { onConflict });
+    }
+
+    // Import the operations of an OpenAPI 3 document as tools (see toolImporters.js).
+    // Re-importing the same document updates the existing tools by default.
+    async importOpenApi(document, { onConflict = 'overwrite', serverUrl } = {}) {
+        const definitions = openApiToToolDefinitions(document, { serverUrl });
+        return this._importEntries(definitions.map(definition => ({ definition })), { onConflict });
+    }
+
+    // Import the tools of an MCP `tools/list` response (see toolImporters.js).
+    async importMcpTools(response, { onConflict = 'overwrite', serverName } = {}) {
+        const definitions = mcpToolsToToolDefinitions(response, { serverName });
+        return this._importEntries(definitions.map(definition => ({ definition })), { onConflict });
+    }
+
+    async _importEntries(entries, { onConflict }) {
+        if (!IMPORT_CONFLICT_STRATEGIES.includes(onConflict)) {
+            throw new Error(`Unknown conflict strategy '${onConflict}'. Use one of: ${IMPORT_CONFLICT_STRATEGIES.join(', ')}.`);
+        }
+        await this.initialize();
+
+        const report = { imported: [], skipped: [], failed: [] };
+        for (const entry of entries) {
+            const definition = { ...entry?.definition };
+            if (definition.type === 'core') {
+                report.skipped.push({ id: definition.id, name: definition.name, reason: 'Core tools are not imported.' });
+                continue;
+            }
+            const errors = validateToolDefinition(definition, {
+                requireImplementation: definition.type === 'llm_generated' || 'implementation' in definition,
+            });
+            if (errors.length > 0) {
+                report.failed.push({ id: definition.id, name: definition.name, reason: errors.join(' ') });
+                continue;
+            }
+
+            definition.id = definition.id || uuidv4();
+            definition.type = definition.type || 'imported';
+            const runnable = isExecutableTool(definition);
+            if (runnable) {
+                delete definition.verification;
+                if (definition.status !== 'deprecated') definition.status = 'draft';
+            }
+            try {
+                const originalId = definition.id;
+                const outcome = await this._withRecordLock(originalId, async () => {
+                    const [existing] = await this.store.get([originalId]);
+                    if (existing && onConflict === 'skip') {
+                        return { skipped: 'A tool with this id already exists.' };
+                    }
+                    if (existing && onConflict === 'rename') { // A fresh id nobody else can be writing to
+                        definition.id = uuidv4();
+                        definition.name = await this._disambiguateName(definition.name);
+                    }
+                    // Checked under the lock, after the conflict is resolved, so the policy sees the final id and name
+                    if (runnable) {
+                        const authorization = await this._authorize('create', definition);
+                        if (!authorization.allowed) {
+                            return { skipped: authorization.message };
+                        }
+                    }
+                    if (existing && onConflict === 'overwrite') {
+                        // Don't let the stored tool's verification vouch for the imported code
+                        await this._storeNewVersion(existing, runnable ? { ...definition, verification: undefined } : definition);
+                        return { action: 'overwritten' };
+                    }
+                    // Keep exported lifecycle fields; fill them in for definitions from other sources
+                    const now = new Date().toISOString();
+                    definition.status = definition.status || 'active';
+                    definition.version = definition.version || 1;
+                    definition.createdAt = definition.createdAt || now;
+                    definition.updatedAt = definition.updatedAt || now;
+                    await this._storeTool(definition, Array.isArray(entry.history) ? entry.history : []);
+                    return existing ? { action: 'renamed', originalId } : { action: 'created' };
                 });
+                if (outcome.skipped) {
+                    report.skipped.push({ id: definition.id, name: definition.name, reason: outcome.skipped });
+                    continue;
+                }
+                const tool = runnable ? await this.verifyStoredTool(definition.id) : await this.getTool(definition.id);
+                report.imported.push({ id: definition.id, name: definition.name, ...outcome, status: tool.status });
+            } catch (error) {
+                report.failed.push({ id: definition.id, name: definition.name, reason: error.message });
+            }
+        }
+
+        console.log(`Imported ${report.imported.length} tools (${report.skipped.length} skipped, ${report.failed.length} failed).`);
+        return report;
+    }
+
+    // Get tools relevant to a context, always including ToolCreationTool first (unless the policy denies creating tools).
+    // Ranking is hybrid (see toolRetrieval.js): BM25 keyword matching on names, descriptions, parameter
+    // names and tags, combined with vector similarity when an embedder is configured (keyword-only otherwise).
+    // With an embedder, only the store's nearest neighbours and the tools named in the context are ranked;
+    // keyword-only retrieval ranks every tool.
+    // Tools whose name the context mentions are always returned, ahead of the others.
+    // Each returned tool except the core tool carries `score` (0-1) and `scoreDetails` { vector, keyword, nameMatch }.
+    // options.statuses: which tool statuses may be returned (default: only 'active')
+    // options.where: extra { field: value } filters, e.g. { type: 'openapi', tags: ['math'] } (use `statuses` for status)
+    // options.minScore: drop tools scoring below this (default: this.minRetrievalScore)
+    // options.vectorWeight: share of the vector similarity in the score (default: this.retrievalVectorWeight)
+    // options.usageRanking: scale scores by the tools' success rates and demote tools that keep failing
+    //                       (default: this.usageRanking); `scoreDetails.usage` then shows { factor, successRate, calls, failing }
+    // options.executableOnly: leave out tools executeTool can't run (imported OpenAPI/MCP tools have no executor yet);
+    //                         the Agent sets it, since it can only offer tools it can call
+    async getAvailableTools(context, maxResults = 5, {
+        statuses = ['active'],
+        executableOnly = false,
+        where = {},
+        minScore = this.minRetrievalScore,
+        vectorWeight = this.retrievalVectorWeight,
+        usageRanking = this.usageRanking,
+    } = {}) {
+        await this.initialize(); // Also ensures core tool exists
 
-                if (results && results.metadatas && results.metadatas.length > 0) {
-                    relevantTools = results.metadatas[0] // Access the inner array for the first query text
-                                    .map(meta => meta) // Assuming metadata is the tool definition
-                                    .filter(tool => tool.id !== TOOL_CREATION_TOOL_ID); // Filter out core tool if already present
+        let relevantTools = [];
+        if (context) {
+            try {
+                // Draft, failing and deprecated tools are hidden by default; `where.status` can't override that
+                const filter = { ...where, status: statuses };
+
+                let queryEmbedding = null;
+                try {
+                    [queryEmbedding] = (await this._embed([context])) || [null];
+                } catch (error) {
+                    if (error instanceof CassetteMissError) throw error; // A diverged replay fails here, not later
+                    console.warn(`Embedding the query failed, falling back to keyword search: ${error.message}`);
                 }
+
+                const candidates = queryEmbedding
+                    ? await this._retrievalCandidates(context, queryEmbedding, filter, maxResults)
+                    : await this.store.list({ where: filter }); // Keyword-only: every matching tool is ranked
+                // Core tool is added separately
+                const records = candidates.filter(record => record.id !== TOOL_CREATION_TOOL_ID && (!executableOnly || isExecutableTool(record.tool)));
+
+                const ranked = rankTools(records, context, { queryEmbedding, vectorWeight, useUsageStats: usageRanking });
+                const mentioned = ranked.filter(entry => entry.nameMatch);
+                const others = ranked.filter(entry => !entry.nameMatch && entry.score > 0 && entry.score >= minScore);
+                relevantTools = [...mentioned, ...others.slice(0, Math.max(0, maxResults - mentioned.length))]
+                    .map(({ record, score, vectorScore, keywordScore, nameMatch, usage }) => ({
+                        ...record.tool,
+                        score,
+                        scoreDetails: { vector: vectorScore, keyword: keywordScore, nameMatch, ...(usage ? { usage } : {}) },
+                    }));
             } catch (error) {
-                console.error("Error querying ChromaDB for relevant tools:", error);
+                if (error instanceof CassetteMissError) throw error;
+                console.error("Error querying the tool store for relevant tools:", error);
                 // Proceed without context-based tools if query fails
             }
-        } else if (!embedder) {
-            console.warn("Context provided, but no embedder configured. Skipping similarity search.");
         }
 
+        if (!this.canCreateTools()) {
+            return relevantTools; // The policy forbids creating tools, so don't offer the tool that does it
+        }
 
         // Fetch the core tool definition explicitly to ensure it's the correct, latest version
         const coreTool = await this.getTool(TOOL_CREATION_TOOL_ID);
         if (!coreTool) {
              // This shouldn't happen if ensureToolCreationTool worked, but handle defensively
              console.error("Critical Error: Core Tool Creation Tool definition is missing!");
-             // Optionally re-add it here
-             // await this.addTool(TOOL_CREATION_TOOL_DEF, true);
-             // return relevantTools; // Return only relevant ones found
              return [TOOL_CREATION_TOOL_DEF, ...relevantTools]; // Use the constant as fallback
         }
+        return [coreTool, ...relevantTools];
+    }
 
-
-        // Combine, ensuring core tool is first and unique
-        const finalTools = [coreTool, ...relevantTools];
-        const uniqueToolIds = new Set();
-        const uniqueTools = finalTools.filter(tool => {
-            if (!uniqueToolIds.has(tool.id)) {
-                uniqueToolIds.add(tool.id);
-                return true;
-            }
-            return false;
-        });
-
-        // Ensure the list doesn't exceed maxResults (after adding the core tool)
-        return uniqueTools.slice(0, maxResults + 1); // +1 because core tool is always added
+    // The store's nearest neighbours of the query (an index lookup in Chroma rather than a full scan),
+    // plus the tools whose name the context mentions, so they are found even when their vectors are far off
+    async _retrievalCandidates(context, queryEmbedding, filter, maxResults) {
+        const names = filter.name === undefined ? mentionedToolNames(context) : [];
+        const [similar, named] = await Promise.all([
+            this.store.query(queryEmbedding, { limit: Math.max(maxResults * RETRIEVAL_CANDIDATES, MIN_RETRIEVAL_CANDIDATES), where: filter }),
+            names.length > 0 ? this.store.list({ where: { ...filter, name: names } }) : [],
+        ]);
+        const byId = new Map(similar.map(record => [record.id, record]));
+        named.forEach(record => byId.has(record.id) || byId.set(record.id, record));
+        return [...byId.values()];
     }
 
     // --- Execute the Tool Creation Tool ---
@@ -201,16 +909,50 @@ export class ToolManager {
         if (!this.llmClient) {
             throw new Error("LLMClient is required for tool creation execution.");
         }
+        if (!this.canCreateTools()) {
+            await this.auditLog?.append({ action: 'create', decision: 'deny', outcome: 'denied', tool: null, reasons: ['every create rule denies'], taskDescription })
+                .catch(error => console.error("Error writing the audit log:", error));
+            return { error: "Policy: creating new tools is denied.", denied: true };
+        }
+
+        const startedAt = Date.now();
+        const result = await this._createTool(taskDescription, suggestedName);
+        await this._recordUsage(TOOL_CREATION_TOOL_ID, { latencyMs: Date.now() - startedAt, error: result.error });
+        return result;
+    }
 
+    async _createTool(taskDescription, suggestedName) {
         console.log(`Executing Tool Creation for task: "${taskDescription}"`);
 
+        // Relevant existing tools let the LLM chain them into a composite tool instead of writing code
+        const buildingBlocks = await this._findBuildingBlocks(taskDescription);
+        const compositeInstructions = buildingBlocks.length === 0 ? '' : `
+            Existing tools you can build on:
+${buildingBlocks.map(tool => `            - id "${tool.id}": ${tool.name} - ${tool.description} Parameters: ${JSON.stringify(tool.parameters)}`).join('\n')}
+            If the task is a pipeline of these tools (e.g. "fetch X, then convert it"), define a composite tool instead of writing code:
+            set "type": "composite" and replace 'implementation' with 'steps', a list of { "id": "<step id>", "tool": "<existing tool id>", "args": { ... } }.
+            Argument values are used as written, except "$input.<parameter>" (this tool's own arguments) and "$steps.<earlier step id>.<field>"
+            (an earlier step's result). An optional 'output' shapes the result from such references; by default the last step's result is returned.
+            'examples' are optional for composite tools. For example:
+            { "name": "weather_in_fahrenheit", "description": "...", "parameters": { ... }, "type": "composite",
+              "steps": [ { "id": "weather", "tool": "<id>", "args": { "city": "$input.city" } },
+                         { "id": "convert", "tool": "<id>", "args": { "celsius": "$steps.weather.temperature" } } ] }
+`;
+
         const prompt = `
             You are an expert tool designer. Based on the following task description, create a JSON definition for a new tool.
             The JSON definition must include:
             1.  'name': A concise, descriptive, snake_case name for the tool. ${suggestedName ? `Consider the suggestion: "${suggestedName}".`: ''}
             2.  'description': A clear, detailed explanation of what the tool does.
-            3.  'parameters': A JSON schema object defining the necessary inputs for the tool. Define 'type', 'properties', and 'required' fields accurately. If no parameters are needed, provide an empty properties object: { "type": "object", "properties": {} }.
-
+            3.  'parameters': A JSON schema object defining the necessary inputs for the tool. Define 'type', 'properties', and 'required' fields accurately. Every property needs a 'description', and every name in 'required' must be defined in 'properties'. If no parameters are needed, provide an empty properties object: { "type": "object", "properties": {} }.
+            4.  'implementation': A string with the JavaScript *body* of an async function that receives a single 'args' object (matching 'parameters') and returns a JSON-serializable result.
+                It runs in an isolated sandbox: plain JavaScript only, no 'require', 'import', 'process', 'fetch', file system or network access.
+            5.  'examples': 2-3 example invocations, as an array of { "args": { ... }, "expected": <the exact JSON value the implementation returns for these args> }.
+                They are run as tests, and the tool only becomes available once all of them pass.
+            6.  'tags' (optional): a few short lowercase keywords for the tool's domain, used to filter and find tools.
+            7.  'capabilities': what the tool does, from ${JSON.stringify(TOOL_CAPABILITIES)}: "read_only" if it only computes or reads,
+                "side_effects" if it changes state anywhere, plus "network" / "filesystem" if it needs them. Composite tools get theirs from their steps.
+${compositeInstructions}
             Task Description: "${taskDescription}"
 
             Output *only* the JSON object for the tool definition, enclosed in triple backticks (\`\`\`). Do not include any other text before or after the JSON block.
@@ -230,64 +972,433 @@ export class ToolManager {
                   }
                 },
                 "required": ["city"]
-              }
+              },
+              "implementation": "const { city } = args;\\nreturn { city, note: 'Weather data is not available offline.' };",
+              "examples": [
+                { "args": { "city": "Paris" }, "expected": { "city": "Paris", "note": "Weather data is not available offline." } }
+              ],
+              "tags": ["weather"],
+              "capabilities": ["read_only"]
             }
             \`\`\`
 
             Now, generate the JSON for the requested task.
         `;
 
+        // Invalid output is sent back to the LLM with the errors, up to maxRepairAttempts times
+        const messages = [{ role: 'user', content: prompt }];
+        let lastError;
+        for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+            let rawResponse;
+            try {
+                const response = await this.llmClient.chat.completions.create({
+                    model: this.llmClient.model, // Use the model configured in the client
+                    messages,
+                    temperature: 0.2, // Lower temperature for more predictable JSON structure
+                });
+                rawResponse = response.choices[0]?.message?.content?.trim();
+            } catch (error) {
+                console.error("Error during tool creation execution:", error);
+                return { error: `Failed to create tool: ${error.message}` };
+            }
+
+            let generatedToolDef;
+            try {
+                generatedToolDef = await this._parseToolDefinition(rawResponse);
+            } catch (error) {
+                lastError = error;
+                console.warn(`Generated tool definition rejected (attempt ${attempt + 1}/${this.maxRepairAttempts + 1}): ${error.message}`);
+                messages.push(
+                    { role: 'assistant', content: rawResponse || '' },
+                    { role: 'user', content: `Your previous output was rejected:\n${error.message}\n\nFix these problems and output *only* the corrected JSON object, enclosed in triple backticks.` }
+                );
+                continue;
+            }
+
+            try {
+                // Add the newly defined tool to RAG, unless it duplicates an existing one
+                const stored = await this._storeGeneratedTool(generatedToolDef, taskDescription);
+                if (stored.denied) {
+                    return stored;
+                }
+                const { creationOutcome, ...storedTool } = stored;
+
+                // New tools stay 'draft' until their examples pass; updateTool already verified changed ones
+                const tool = creationOutcome.action === 'created'
+                    ? await this.verifyStoredTool(storedTool.id)
+                    : storedTool;
+
+                console.log(`Tool creation finished for '${tool.name}' (${creationOutcome.action}, status: ${tool.status}).`);
+                return { ...tool, creationOutcome }; // Return the definition of the new (or reused) tool
+            } catch (error) {
+                console.error("Error during tool creation execution:", error);
+                return { error: `Failed to create tool: ${error.message}` };
+            }
+        }
+
+        console.error(`Giving up on tool creation after ${this.maxRepairAttempts + 1} attempts.`);
+        return { error: `Failed to create tool: ${lastError.message}` };
+    }
+
+    // Active tools relevant to a creation request, offered as composite steps. Never fails the creation.
+    async _findBuildingBlocks(taskDescription) {
         try {
-            const response = await this.llmClient.chat.completions.create({
-                model: this.llmClient.model, // Use the model configured in the client
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.2, // Lower temperature for more predictable JSON structure
-            });
+            const tools = await this.getAvailableTools(taskDescription, MAX_BUILDING_BLOCKS, { executableOnly: true });
+            return tools.filter(tool => tool.type !== 'core');
+        } catch (error) {
+            console.warn(`Could not look up existing tools for the creation prompt: ${error.message}`);
+            return [];
+        }
+    }
 
-            const rawResponse = response.choices[0]?.message?.content?.trim();
-            if (!rawResponse) {
-                throw new Error("LLM response was empty.");
+    // Extract and parse the JSON object in an LLM's raw response.
+    // Throws with a message suitable for sending back to the LLM.
+    _parseJsonResponse(rawResponse) {
+        if (!rawResponse) {
+            throw new Error("LLM response was empty.");
+        }
+
+        // Extract JSON from the first fenced block, or take the whole response if it's a bare object
+        // (shared with the prompt-based tool calling protocol, see toolCalling.js)
+        const [block] = extractJsonBlocks(rawResponse);
+        if (!block) {
+            throw new Error(`LLM response did not contain the expected JSON format. Response: ${rawResponse}`);
+        }
+        const json = block.json;
+
+        try {
+            return JSON.parse(json);
+        } catch (parseError) {
+            throw new Error(`Failed to parse JSON from LLM response: ${parseError.message}. Raw JSON: ${json}`);
+        }
+    }
+
+    // Extract, parse and validate a tool definition from the LLM's raw response.
+    // Throws with a message suitable for sending back to the LLM.
+    async _parseToolDefinition(rawResponse) {
+        const generatedToolDef = this._parseJsonResponse(rawResponse);
+        if (generatedToolDef && typeof generatedToolDef === 'object') {
+            // The LLM picks between code and a composite; any other type (e.g. 'core') is not its call
+            generatedToolDef.type = generatedToolDef.type === 'composite' ? 'composite' : 'llm_generated';
+        }
+
+        // Validate names, the parameter schema (against the JSON Schema meta-schema) and the implementation
+        // or, for composite tools, the steps and the tools they reference
+        const errors = validateToolDefinition(generatedToolDef, { requireExamples: true });
+        if (errors.length === 0) {
+            errors.push(...(await this._checkWorkflowReferences(generatedToolDef)));
+        }
+        if (errors.length > 0) {
+            throw new Error(`Generated tool definition is invalid:\n- ${errors.join('\n- ')}`);
+        }
+        return this._deriveCompositeCapabilities(generatedToolDef);
+    }
+
+    // --- Near-Duplicate Handling ---
+    // Store a freshly generated definition, unless a stored tool already covers it.
+    // Returns the resulting tool with `creationOutcome`: { action, existingToolId, similarity }, where action is
+    //   'created'     - stored as a new tool
+    //   'reused'      - an existing tool already does this; nothing stored
+    //   'extended'    - an existing tool was extended (e.g. an extra optional parameter), as a new version
+    //   'new_version' - the generated definition replaced an existing tool, as a new version
+    // Returns { error, denied: true } instead if the policy refuses to store the definition.
+    async _storeGeneratedTool(generatedToolDef, taskDescription) {
+        // The policy (and possibly a human reviewer) sees exactly the definition that gets stored and run
+        const store = async (definition, save, creationOutcome) => {
+            const authorization = await this._authorize('create', definition);
+            if (!authorization.allowed) {
+                return { error: authorization.message, denied: true };
             }
+            return { ...(await save()), creationOutcome };
+        };
 
-            // Extract JSON from the response (robust extraction)
-            const jsonMatch = rawResponse.match(/```json\s*([\s\S]*?)\s*```/);
-            let toolJson;
-            if (jsonMatch && jsonMatch[1]) {
-                 toolJson = jsonMatch[1];
-            } else if (rawResponse.startsWith('{') && rawResponse.endsWith('}')) {
-                 // Fallback if backticks are missing but it looks like JSON
-                 toolJson = rawResponse;
-            } else {
-                throw new Error(`LLM response did not contain the expected JSON format. Response: ${rawResponse}`);
+        const similar = await this._findSimilarTool(generatedToolDef);
+        if (!similar) {
+            return store(generatedToolDef, () => this.addTool({ ...generatedToolDef, status: 'draft' }),
+                { action: 'created', existingToolId: null, similarity: null });
+        }
+
+        const existing = similar.tool;
+        const decision = await this._decideDuplicateAction(existing, generatedToolDef, taskDescription, similar.similarity);
+        if (decision.action === 'reuse' && existing.status !== 'active') {
+            decision.action = 'new_version'; // Don't hand back a tool that is unverified or failing
+        }
+        const sameKind = (existing.type === 'composite') === (generatedToolDef.type === 'composite');
+        if (!sameKind && ['extend', 'new_version'].includes(decision.action)) {
+            decision.action = 'distinct'; // A tool's type can't change between versions, so store the other kind separately
+        }
+        const outcome = (action) => ({ action, existingToolId: existing.id, similarity: similar.similarity });
+        console.log(`Generated tool '${generatedToolDef.name}' resembles '${existing.name}' (similarity ${similar.similarity.toFixed(3)}): ${decision.action}.`);
+
+        switch (decision.action) {
+            case 'reuse':
+                return { ...existing, creationOutcome: outcome('reused') };
+            case 'extend':
+                // The LLM wrote a second definition for the extension; that one is what gets stored
+                return store({ ...existing, ...decision.definition, id: existing.id }, () => this.updateTool(existing.id, decision.definition), outcome('extended'));
+            case 'new_version':
+                return store({ ...existing, ...generatedToolDef, id: existing.id }, () => this.updateTool(existing.id, generatedToolDef), outcome('new_version'));
+            default: {
+                // Different semantics: keep both, renaming the new one if the names collide
+                const definition = { ...generatedToolDef, name: await this._disambiguateName(generatedToolDef.name) };
+                return store(definition, () => this.addTool({ ...definition, status: 'draft' }), outcome('created'));
             }
+        }
+    }
 
+    // Find the non-core, non-deprecated tool most similar to a definition: an exact name match,
+    // or the best embedding match at or above duplicateThreshold. Returns { tool, similarity } or null.
+    async _findSimilarTool(toolDefinition) {
+        let best = null;
+        const embeddings = await this._embed([`${toolDefinition.name}: ${toolDefinition.description}`]);
+        if (embeddings) {
+            const records = await this.store.query(embeddings[0], { limit: 3, where: { status: ['active', 'draft', 'failing'] } });
+            const match = records.find(record => record.tool.type !== 'core' && record.score >= this.duplicateThreshold);
+            if (match) {
+                best = { tool: match.tool, similarity: match.score };
+            }
+        }
 
-            let generatedToolDef;
-            try {
-                generatedToolDef = JSON.parse(toolJson);
-            } catch (parseError) {
-                throw new Error(`Failed to parse JSON from LLM response: ${parseError.message}. Raw JSON: ${toolJson}`);
+        if (!best || best.tool.name !== toolDefinition.name) {
+            const [sameName] = (await this.store.list({ where: { name: toolDefinition.name } }))
+                .filter(record => record.tool.type !== 'core' && record.tool.status !== 'deprecated');
+            if (sameName) {
+                const similarity = embeddings && sameName.embedding
+                    ? cosineSimilarity(embeddings[0], sameName.embedding)
+                    : 0;
+                // A name match wins unless the embedding match is clearly closer
+                if (!best || similarity >= best.similarity) {
+                    best = { tool: sameName.tool, similarity };
+                }
             }
+        }
+        return best;
+    }
+
+    // Ask the LLM what to do with a generated definition that resembles an existing tool.
+    // Returns { action: 'reuse' | 'extend' | 'new_version' | 'distinct', definition? }.
+    async _decideDuplicateAction(existingTool, generatedToolDef, taskDescription, similarity) {
+        const describe = ({ name, description, parameters, implementation }) => JSON.stringify({ name, description, parameters, implementation }, null, 2);
+        const prompt = `
+            A new tool was requested, but a similar tool already exists. Decide how to handle it.
+
+            Task Description: "${taskDescription}"
+
+            Existing tool:
+            \`\`\`json
+            ${describe(existingTool)}
+            \`\`\`
+
+            Newly generated tool:
+            \`\`\`json
+            ${describe(generatedToolDef)}
+            \`\`\`
+
+            Choose exactly one action:
+            - "reuse": the existing tool already does what the task needs.
+            - "extend": the existing tool should be extended in a backward-compatible way (e.g. an extra *optional* parameter). Provide the complete extended definition (name, description, parameters, implementation) in "definition", keeping the existing name.
+            - "new_version": both do the same thing, but the new definition is better and should replace the existing one.
+            - "distinct": they do different things and both should exist.
+
+            Output *only* a JSON object like {"action": "reuse"} or {"action": "extend", "definition": {...}}, enclosed in triple backticks.
+        `;
 
-            // Validate basic structure
-            if (!generatedToolDef.name || !generatedToolDef.description || !generatedToolDef.parameters) {
-                throw new Error(`Generated tool definition is missing required fields (name, description, parameters). Definition: ${JSON.stringify(generatedToolDef)}`);
+        try {
+            const response = await this.llmClient.chat.completions.create({
+                model: this.llmClient.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0,
+            });
+            const decision = this._parseJsonResponse(response.choices[0]?.message?.content?.trim());
+            if (!['reuse', 'extend', 'new_version', 'distinct'].includes(decision.action)) {
+                throw new Error(`Unknown action '${decision.action}'.`);
+            }
+            if (decision.action === 'extend') {
+                const definition = { ...decision.definition, name: existingTool.name };
+                const errors = validateToolDefinition(definition);
+                if (errors.length > 0) {
+                    throw new Error(`Extended definition is invalid: ${errors.join('; ')}`);
+                }
+                return { action: 'extend', definition };
             }
-             if (typeof generatedToolDef.parameters !== 'object' || !generatedToolDef.parameters.type || !generatedToolDef.parameters.properties) {
-                  throw new Error(`Generated tool parameters are not a valid JSON schema object. Definition: ${JSON.stringify(generatedToolDef)}`);
-             }
+            return { action: decision.action };
+        } catch (error) {
+            // Without a usable answer, reuse only clear embedding duplicates and keep everything else
+            const fallback = similarity >= this.duplicateThreshold ? 'reuse' : 'distinct';
+            console.warn(`Could not get a duplicate decision from the LLM (${error.message}). Falling back to '${fallback}'.`);
+            return { action: fallback };
+        }
+    }
 
+    // Deterministic unique name: `name`, then `name_2`, `name_3`, ... (checked against all stored tools)
+    async _disambiguateName(name) {
+        const takenNames = new Set((await this.store.list()).map(record => record.tool.name));
+        if (!takenNames.has(name)) {
+            return name;
+        }
+        let suffix = 2;
+        while (takenNames.has(`${name}_${suffix}`)) {
+            suffix++;
+        }
+        return `${name}_${suffix}`;
+    }
 
-            // Add the newly defined tool to RAG
-            const addedTool = await this.addTool(generatedToolDef);
+    // --- Execute a Generated Tool ---
+    // Runs the stored implementation of a tool in the sandbox (see sandbox.js), or the steps of a
+    // composite tool (see workflows.js).
+    // Returns { result, logs } on success or { error } on failure, like executeToolCreation.
+    // Composite tools also return `steps` ([{ id, tool, result }] for the steps that ran) and,
+    // on failure, `failedStep` with the id of the step that failed.
+    async executeTool(id, args = {}) {
+        return this._executeTool(id, args, { callStack: [], verifying: false });
+    }
 
-            console.log(`Successfully created and stored new tool: '${addedTool.name}'`);
-            return addedTool; // Return the definition of the newly created tool
+    // `callStack` holds the ids of the composite tools this call is nested in.
+    // `verifying` marks runs of a tool's own examples, which go through the policy like any call
+    // but are not counted in the usage stats.
+    async _executeTool(id, args, { callStack, verifying }) {
+        const tool = await this.getTool(id);
+        if (!tool) {
+            return { error: `Tool with ID '${id}' not found.` };
+        }
+        return this._executeStoredTool(tool, args, { callStack, verifying });
+    }
+
+    async _executeStoredTool(tool, args, { callStack, verifying }) {
+        if (tool.type === 'core') {
+            return { error: `Tool '${tool.name}' is a core tool and cannot be executed in the sandbox.` };
+        }
+        if (callStack.includes(tool.id) || callStack.length >= MAX_WORKFLOW_DEPTH) {
+            return { error: `Tool '${tool.name}' can't be called here: composite tools are nested too deeply or call themselves.` };
+        }
+        const authorization = await this._authorize('execute', tool, { args });
+        if (!authorization.allowed) {
+            return { error: authorization.message, denied: true };
+        }
 
+        const startedAt = Date.now();
+        const outcome = await this._runTool(tool, args, { callStack, verifying });
+        if (!verifying) {
+            await this._recordUsage(tool.id, { latencyMs: Date.now() - startedAt, error: outcome.error });
+        }
+        return outcome;
+    }
+
+    async _runTool(tool, args, { callStack, verifying }) {
+        if (!isExecutableTool(tool)) {
+            return { error: `Tool '${tool.name}' has no implementation to execute.` };
+        }
+
+        // Validate against the stored schema, applying defaults and coercing types
+        const validation = validateToolArguments(tool.parameters, args);
+        if (!validation.valid) {
+            return { error: `Invalid arguments for tool '${tool.name}': ${validation.errors.join('; ')}` };
+        }
+
+        if (tool.type === 'composite') {
+            return this._runWorkflow(tool, validation.args, { callStack, verifying });
+        }
+
+        console.log(`Executing tool '${tool.name}' (ID: ${tool.id}) with args:`, validation.args);
+        try {
+            const { result, logs } = await runInSandbox(tool.implementation, validation.args, this.sandboxOptions);
+            return { result, logs };
         } catch (error) {
-            console.error("Error during tool creation execution:", error);
-            // Return a failure message or throw
-             return { error: `Failed to create tool: ${error.message}` };
+            console.error(`Error executing tool '${tool.name}':`, error.message);
+            return { error: `Failed to execute tool '${tool.name}': ${error.message}` };
+        }
+    }
+
+    // Run the steps of a composite tool in order, feeding each step the arguments mapped from the
+    // composite's input and earlier results. Stops at the first failing step.
+    async _runWorkflow(tool, args, { callStack, verifying }) {
+        console.log(`Executing composite tool '${tool.name}' (ID: ${tool.id}) with ${tool.steps.length} steps.`);
+        const scope = { input: args, steps: {} };
+        const steps = [];
+        const logs = [];
+        for (const step of tool.steps) {
+            let outcome;
+            try {
+                const stepArgs = resolveReferences(step.args || {}, scope);
+                outcome = await this._executeTool(step.tool, stepArgs, { callStack: [...callStack, tool.id], verifying });
+            } catch (error) {
+                outcome = { error: error.message };
+            }
+            logs.push(...(outcome.logs || []).map(line => `[${step.id}] ${line}`));
+            if (outcome.error) {
+                console.error(`Composite tool '${tool.name}' failed at step '${step.id}': ${outcome.error}`);
+                return {
+                    error: `Step '${step.id}' (tool '${step.tool}') of '${tool.name}' failed: ${outcome.error}`,
+                    failedStep: step.id,
+                    steps,
+                    logs,
+                    ...(outcome.denied ? { denied: true } : {}),
+                };
+            }
+            scope.steps[step.id] = outcome.result;
+            steps.push({ id: step.id, tool: step.tool, result: outcome.result });
+        }
+
+        try {
+            const result = tool.output !== undefined ? resolveReferences(tool.output, scope) : steps[steps.length - 1].result;
+            return { result, logs, steps };
+        } catch (error) {
+            return { error: `Output of '${tool.name}' could not be built: ${error.message}`, steps, logs };
+        }
+    }
+
+    // Check that every step of a composite tool uses a stored, usable tool and passes the arguments it
+    // requires. Returns a list of problems (empty for valid or non-composite definitions).
+    async _checkWorkflowReferences(toolDefinition) {
+        if (toolDefinition?.type !== 'composite' || !Array.isArray(toolDefinition.steps)) {
+            return [];
+        }
+        const steps = toolDefinition.steps.filter(step => step && typeof step.tool === 'string');
+        const records = await this.store.get([...new Set(steps.map(step => step.tool))]);
+        const toolsById = new Map(records.map(record => [record.id, record.tool]));
+
+        const errors = [];
+        for (const step of steps) {
+            const tool = toolsById.get(step.tool);
+            if (!tool) {
+                errors.push(`Step '${step.id}': there is no stored tool with the id '${step.tool}'.`);
+                continue;
+            }
+            if (tool.type === 'core' || tool.id === toolDefinition.id) {
+                errors.push(`Step '${step.id}': '${tool.name}' can't be used as a step.`);
+            } else if (!isExecutableTool(tool)) {
+                errors.push(`Step '${step.id}': tool '${tool.name}' has no implementation and can't run.`);
+            } else if (tool.status !== 'active') {
+                errors.push(`Step '${step.id}': tool '${tool.name}' is ${tool.status}; only active tools can be used as steps.`);
+            }
+            const properties = tool.parameters?.properties || {};
+            const stepArgs = step.args && typeof step.args === 'object' ? step.args : {};
+            for (const name of tool.parameters?.required || []) {
+                if (!(name in stepArgs)) {
+                    errors.push(`Step '${step.id}': tool '${tool.name}' requires the argument '${name}'.`);
+                }
+            }
+            for (const name of Object.keys(stepArgs)) {
+                if (!(name in properties)) {
+                    errors.push(`Step '${step.id}': tool '${tool.name}' has no parameter '${name}' (it takes: ${Object.keys(properties).join(', ') || 'none'}).`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    // A composite tool can do whatever its steps do, so its capabilities are always the union of theirs
+    // (declared ones are replaced). read_only is dropped when any step has side effects.
+    async _deriveCompositeCapabilities(toolDefinition) {
+        if (toolDefinition?.type !== 'composite' || !Array.isArray(toolDefinition.steps)) {
+            return toolDefinition;
+        }
+        const records = await this.store.get([...new Set(toolDefinition.steps.map(step => step.tool))]);
+        const capabilities = new Set(records.flatMap(record => effectiveCapabilities(record.tool)));
+        if (capabilities.has('side_effects')) {
+            capabilities.delete('read_only');
         }
+        toolDefinition.capabilities = TOOL_CAPABILITIES.filter(capability => capabilities.has(capability));
+        return toolDefinition;
     }
 }
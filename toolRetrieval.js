@@ -0,0 +1,137 @@
+import { cosineSimilarity } from './toolStores.js';
+
+// --- Configuration ---
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const KEYWORD_SATURATION = 2; // Raw BM25 score that maps to a keyword score of 0.5
+const NAME_WEIGHT = 2; // Name tokens count this many times in a tool's keyword document
+const FAILING_STREAK = 3; // Consecutive failed calls after which a tool counts as failing
+const MAX_NAME_WORDS = 4; // Longest tool name (in words) looked up by mentionedToolNames
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'get', 'how', 'i', 'in', 'is', 'it',
+    'me', 'my', 'of', 'on', 'or', 'please', 'the', 'this', 'to', 'what', 'with', 'you',
+]);
+
+// --- Keyword Matching ---
+// "getWeather for 3 cities" -> ['weather', '3', 'city']
+export function tokenize(text) {
+    return String(text ?? '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => (token.length > 1 || /[0-9]/.test(token)) && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+// Crude plural folding, enough for "cities"/"city" and "numbers"/"number"
+function stem(token) {
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+// Tokens a tool is found by: its name (weighted), description, parameter names and tags
+function toolTokens(tool) {
+    const nameTokens = tokenize(tool.name);
+    return [
+        ...Array.from({ length: NAME_WEIGHT }, () => nameTokens).flat(),
+        ...tokenize(tool.description),
+        ...Object.keys(tool.parameters?.properties || {}).flatMap(tokenize),
+        ...(Array.isArray(tool.tags) ? tool.tags.flatMap(tokenize) : []),
+    ];
+}
+
+// Okapi BM25 of the query against every document (arrays of tokens), with IDF from these documents
+function bm25Scores(queryTokens, documents) {
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, documents.length);
+    const documentFrequency = new Map();
+    for (const doc of documents) {
+        for (const token of new Set(doc)) {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+    }
+
+    return documents.map(doc => {
+        const termFrequency = new Map();
+        for (const token of doc) {
+            termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+        }
+        let score = 0;
+        for (const token of new Set(queryTokens)) {
+            const tf = termFrequency.get(token);
+            if (!tf) continue;
+            const df = documentFrequency.get(token);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1)));
+        }
+        return score;
+    });
+}
+
+// True if the text names the tool, e.g. "use get_weather" or "use get weather"
+function mentionsToolName(text, name) {
+    const escaped = name.toLowerCase().split('_').filter(Boolean)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (escaped.length === 0) return false;
+    return new RegExp(`(^|[^a-z0-9_])${escaped.join('[_\\s]')}($|[^a-z0-9_])`).test(text.toLowerCase());
+}
+
+// Every snake_case name the text could be mentioning, e.g. "use get weather now" ->
+// ['use', 'use_get', ..., 'get_weather', ...], so mentioned tools can be fetched by name
+export function mentionedToolNames(text) {
+    const words = String(text ?? '').toLowerCase().split(/[^a-z0-9_]+/).flatMap(word => word.split('_')).filter(Boolean);
+    const names = new Set();
+    for (let start = 0; start < words.length; start++) {
+        for (let length = 1; length <= MAX_NAME_WORDS && start + length <= words.length; length++) {
+            names.add(words.slice(start, start + length).join('_'));
+        }
+    }
+    return [...names];
+}
+
+// --- Usage Feedback ---
+// Ranking multiplier from a tool's usage stats (see ToolManager.getToolStats). The success rate is
+// smoothed ((successes + 1) / (calls + 2)), so unused tools get a neutral 1 and the factor moves from
+// 0.75 to 1.25 as evidence accumulates. Tools that failed their last FAILING_STREAK calls are halved on top.
+// Returns { factor, successRate, calls, failing }.
+export function usageAdjustment(stats) {
+    const calls = stats?.calls || 0;
+    const smoothedRate = ((stats?.successes || 0) + 1) / (calls + 2);
+    const failing = (stats?.consecutiveFailures || 0) >= FAILING_STREAK;
+    return {
+        factor: (0.75 + 0.5 * smoothedRate) * (failing ? 0.5 : 1),
+        successRate: calls > 0 ? stats.successes / calls : null,
+        calls,
+        failing,
+    };
+}
+
+// --- Hybrid Ranking ---
+// Score stored records ({ tool, embedding, stats }) against a query, best first. Each result is
+// { record, score, vectorScore, keywordScore, nameMatch, usage }, all scores between 0 and 1:
+// - keywordScore: BM25 over the records' keyword documents, squashed into 0-1
+// - vectorScore:  cosine similarity to `queryEmbedding`, or the `score` of records returned by a store
+//                 query (null when neither is available)
+// - score:        vectorWeight * vectorScore + (1 - vectorWeight) * keywordScore, or the keyword score
+//                 alone for records without a vector; 1 when the query mentions the tool's name
+// - usage:        with `useUsageStats`, the usageAdjustment() the score was multiplied by (capped at 1), else null
+export function rankTools(records, query, { queryEmbedding = null, vectorWeight = 0.6, useUsageStats = false } = {}) {
+    const keywordScores = bm25Scores(tokenize(query), records.map(record => toolTokens(record.tool)));
+
+    return records
+        .map((record, i) => {
+            const keywordScore = keywordScores[i] / (keywordScores[i] + KEYWORD_SATURATION);
+            const vectorScore = queryEmbedding && record.embedding?.length === queryEmbedding.length
+                ? Math.max(0, cosineSimilarity(queryEmbedding, record.embedding))
+                : (typeof record.score === 'number' ? Math.max(0, record.score) : null);
+            const nameMatch = mentionsToolName(query, record.tool.name);
+            const relevance = nameMatch ? 1
+                : vectorScore === null ? keywordScore
+                : vectorWeight * vectorScore + (1 - vectorWeight) * keywordScore;
+            // Named tools stay at 1 so they are always retrieved; `usage.failing` still flags them
+            const usage = useUsageStats ? usageAdjustment(record.stats) : null;
+            const score = usage && !nameMatch ? Math.min(1, relevance * usage.factor) : relevance;
+            return { record, score, vectorScore, keywordScore, nameMatch, usage };
+        })
+        .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,303 @@
+import { ChromaClient } from 'chromadb';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// --- Tool Store Interface ---
+// ToolManager talks to storage only through these methods, so backends can be swapped:
+//   init()                              -> connect / load, called once before use
+//   get(ids)                            -> records for the given ids (missing ids are skipped)
+//   upsert(records)                     -> add or replace records
+//   delete(ids)                         -> remove records
+//   query(embedding, { limit, where })  -> records closest to the vector, best first, each with a `score` (cosine similarity)
+//   list({ where })                     -> all records
+//   replaceAll(records)                 -> drop everything and store exactly these records (used when re-embedding)
+// A record is { id, tool, document, embedding, embeddingModel, history, stats }: `tool` is the full tool definition,
+// `document` the text that was embedded, `embedding` its vector (or null if no embedder is configured),
+// `embeddingModel` the id of the embedding provider that produced it and `history` the tool's previous
+// definitions, oldest first. `stats` holds the tool's usage telemetry (or null if it was never used).
+// `where` is an optional { field: value } filter on top-level tool definition fields; an array value
+// matches any of its elements (e.g. { status: ['active', 'draft'] }). For list fields such as `tags`,
+// a tool matches when its list contains the value (or any of the values).
+
+// --- Configuration ---
+const CHROMA_URL = process.env.CHROMA_URL || "http://localhost:8000";
+const COLLECTION_NAME = "agent_tools";
+const DEFAULT_STORE_PATH = process.env.TOOL_STORE_PATH || "./tools.json";
+const LIST_FIELDS = ['tags']; // Tool fields holding arrays
+
+// --- Helpers ---
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export const matchesWhere = (tool, where) => !where || Object.entries(where).every(([key, value]) => {
+    const wanted = Array.isArray(value) ? value : [value];
+    return Array.isArray(tool[key]) ? tool[key].some(item => wanted.includes(item)) : wanted.includes(tool[key]);
+});
+
+// --- In-Memory Store ---
+// Zero-dependency backend, useful for tests and throwaway sessions. Brute-force cosine search.
+export class InMemoryToolStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async init() {}
+
+    async get(ids) {
+        return ids.filter(id => this.records.has(id)).map(id => structuredClone(this.records.get(id)));
+    }
+
+    async upsert(records) {
+        for (const record of records) {
+            this.records.set(record.id, structuredClone({
+                ...record,
+                embedding: record.embedding ?? null,
+                embeddingModel: record.embeddingModel ?? null,
+                history: record.history ?? [],
+                stats: record.stats ?? null,
+            }));
+        }
+        await this._persist();
+    }
+
+    async delete(ids) {
+        for (const id of ids) {
+            this.records.delete(id);
+        }
+        await this._persist();
+    }
+
+    async query(embedding, { limit = 5, where } = {}) {
+        return [...this.records.values()]
+            .filter(record => record.embedding && matchesWhere(record.tool, where))
+            .map(record => ({ ...structuredClone(record), score: cosineSimilarity(embedding, record.embedding) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    async list({ where } = {}) {
+        return [...this.records.values()]
+            .filter(record => matchesWhere(record.tool, where))
+            .map(record => structuredClone(record));
+    }
+
+    async replaceAll(records) {
+        this.records.clear();
+        await this.upsert(records);
+    }
+
+    // Hook for persistent subclasses
+    async _persist() {}
+}
+
+// --- File Store ---
+// In-memory store backed by a local file. A `.jsonl` path stores one record per line,
+// anything else a single JSON document. Writes go to a temp file and are renamed into place.
+export class FileToolStore extends InMemoryToolStore {
+    constructor({ filePath = DEFAULT_STORE_PATH } = {}) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.isJsonl = this.filePath.endsWith('.jsonl');
+        this._writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.log(`Tool store file '${this.filePath}' not found. Starting with an empty store.`);
+                return;
+            }
+            throw error;
+        }
+
+        let records;
+        try {
+            records = this.isJsonl
+                ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+                : (content.trim() ? JSON.parse(content).records : []);
+        } catch (parseError) {
+            throw new Error(`Failed to parse tool store file '${this.filePath}': ${parseError.message}`);
+        }
+        this.records = new Map(records.map(record => [record.id, record]));
+        console.log(`Loaded ${this.records.size} tools from '${this.filePath}'.`);
+    }
+
+    async _persist() {
+        const records = [...this.records.values()];
+        const content = this.isJsonl
+            ? records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '')
+            : JSON.stringify({ version: 1, records }, null, 2);
+
+        // Serialize writes so concurrent upserts can't interleave
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        });
+        return this._writeQueue;
+    }
+}
+
+// --- ChromaDB Store ---
+// Run ChromaDB, e.g. via Docker: docker run -p 8000:8000 chromadb/chroma
+// Chroma metadata only holds scalar values, so the full definition is kept as JSON in
+// `definition` and the scalar top-level fields are copied next to it for `where` filtering.
+// Filters on list fields (tags) can't be expressed in Chroma and are applied to the results instead.
+export class ChromaToolStore {
+    constructor({ url = CHROMA_URL, collectionName = COLLECTION_NAME, embeddingFunction } = {}) {
+        this.chromaClient = new ChromaClient({ path: url });
+        this.collectionName = collectionName;
+        this.embeddingFunction = embeddingFunction;
+        this.collection = null;
+    }
+
+    async init() {
+        if (this.collection) return;
+        try {
+            this.collection = await this.chromaClient.getOrCreateCollection({
+                name: this.collectionName,
+                ...(this.embeddingFunction ? { embeddingFunction: this.embeddingFunction } : {}),
+                metadata: { "hnsw:space": "cosine" } // Use cosine distance
+            });
+            console.log(`Connected to ChromaDB collection: ${this.collectionName}`);
+        } catch (error) {
+            console.error("Error connecting to ChromaDB:", error);
+            throw new Error("Could not connect to or create ChromaDB collection.");
+        }
+    }
+
+    async get(ids) {
+        if (ids.length === 0) return [];
+        const results = await this.collection.get({ ids, include: ["metadatas", "documents", "embeddings"] });
+        return results.ids.map((id, i) => this._toRecord(id, results.metadatas[i], results.documents?.[i], results.embeddings?.[i]));
+    }
+
+    async upsert(records, collection = this.collection) {
+        if (records.length === 0) return;
+        const hasEmbeddings = records.every(record => record.embedding);
+        await collection.upsert({
+            ids: records.map(record => record.id),
+            metadatas: records.map(record => this._toMetadata(record)),
+            documents: records.map(record => record.document),
+            // Without precomputed vectors Chroma falls back to the collection's embedding function
+            ...(hasEmbeddings ? { embeddings: records.map(record => record.embedding) } : {}),
+        });
+    }
+
+    async delete(ids) {
+        if (ids.length === 0) return;
+        await this.collection.delete({ ids });
+    }
+
+    async query(embedding, { limit = 5, where } = {}) {
+        const results = await this.collection.query({
+            queryEmbeddings: [embedding],
+            nResults: Math.max(1, limit),
+            include: ["metadatas", "documents", "distances"],
+            ...(this._toWhere(where) ? { where: this._toWhere(where) } : {}),
+        });
+        if (!results?.ids?.length) return [];
+        // Access the inner arrays for the first (only) query embedding
+        return results.ids[0].map((id, i) => ({
+            ...this._toRecord(id, results.metadatas[0][i], results.documents?.[0]?.[i], null),
+            score: 1 - results.distances[0][i], // Cosine distance -> similarity
+        })).filter(record => matchesWhere(record.tool, where));
+    }
+
+    async list({ where } = {}) {
+        const results = await this.collection.get({
+            include: ["metadatas", "documents", "embeddings"],
+            ...(this._toWhere(where) ? { where: this._toWhere(where) } : {}),
+        });
+        return results.ids
+            .map((id, i) => this._toRecord(id, results.metadatas[i], results.documents?.[i], results.embeddings?.[i]))
+            .filter(record => matchesWhere(record.tool, where));
+    }
+
+    // A Chroma collection is tied to one vector dimension, so the records go into a new staging collection
+    // that then replaces the current one. If the upsert fails, the current collection is left untouched.
+    async replaceAll(records) {
+        const stagingName = `${this.collectionName}_staging`;
+        await this.chromaClient.deleteCollection({ name: stagingName }).catch(() => {}); // Left over from a failed attempt
+        const staging = await this.chromaClient.createCollection({
+            name: stagingName,
+            ...(this.embeddingFunction ? { embeddingFunction: this.embeddingFunction } : {}),
+            metadata: { "hnsw:space": "cosine" },
+        });
+        try {
+            await this.upsert(records, staging);
+        } catch (error) {
+            await this.chromaClient.deleteCollection({ name: stagingName }).catch(() => {});
+            throw error;
+        }
+        await this.chromaClient.deleteCollection({ name: this.collectionName });
+        await staging.modify({ name: this.collectionName });
+        this.collection = staging;
+    }
+
+    _toMetadata({ tool, embeddingModel, history, stats }) {
+        const metadata = { definition: JSON.stringify(tool), history: JSON.stringify(history ?? []) };
+        if (stats) {
+            metadata.stats = JSON.stringify(stats);
+        }
+        for (const [key, value] of Object.entries(tool)) {
+            if (!(key in metadata) && ['string', 'number', 'boolean'].includes(typeof value)) {
+                metadata[key] = value;
+            }
+        }
+        if (embeddingModel) {
+            metadata.embedding_model = embeddingModel;
+        }
+        return metadata;
+    }
+
+    _toRecord(id, metadata, document, embedding) {
+        // Records written before the `definition` field existed stored the definition flat
+        const tool = metadata?.definition ? JSON.parse(metadata.definition) : { ...metadata };
+        return {
+            id,
+            tool,
+            document: document ?? null,
+            embedding: embedding ? Array.from(embedding) : null,
+            embeddingModel: metadata?.embedding_model ?? null,
+            history: metadata?.history ? JSON.parse(metadata.history) : [],
+            stats: metadata?.stats ? JSON.parse(metadata.stats) : null,
+        };
+    }
+
+    // Chroma filter for the scalar fields of `where`, or null if there are none
+    _toWhere(where) {
+        const clauses = Object.entries(where || {}).filter(([key]) => !LIST_FIELDS.includes(key)).map(([key, value]) => ({ [key]: Array.isArray(value) ? { "$in": value } : { "$eq": value } }));
+        if (clauses.length === 0) return null;
+        return clauses.length === 1 ? clauses[0] : { "$and": clauses };
+    }
+}
+
+// --- Factory ---
+// Select a backend with the TOOL_STORE env var ('chroma' (default), 'file' or 'memory')
+// or pass { type } explicitly. Options are forwarded to the backend's constructor.
+export function createToolStore({ type = process.env.TOOL_STORE || 'chroma', ...options } = {}) {
+    switch (type) {
+        case 'chroma':
+            return new ChromaToolStore(options);
+        case 'file':
+            return new FileToolStore(options);
+        case 'memory':
+            return new InMemoryToolStore();
+        default:
+            throw new Error(`Unknown tool store type '${type}'. Use 'chroma', 'file' or 'memory'.`);
+    }
+}
@@ -0,0 +1,62 @@
+import { runInSandbox } from './sandbox.js';
+import { validateToolArguments } from './schemaValidation.js';
+
+// --- Configuration ---
+const NUMBER_TOLERANCE = 1e-9; // Relative tolerance when comparing numbers (floating point results)
+
+// Deep equality for JSON values, with a small tolerance for numbers
+export function isDeepEqual(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a === b || Math.abs(a - b) <= NUMBER_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return a === b;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => key in b && isDeepEqual(a[key], b[key]));
+}
+
+// Run a tool's stored examples ({ args, expected }). Every example's args must satisfy the tool's
+// parameter schema; if the tool has an implementation, it is also run in the sandbox and its
+// result compared with `expected`. Tools without code (composites) can pass `runTool(args)`,
+// which resolves to the result or throws, to be run the same way.
+// Returns { passed, total, passedCount, failures, verifiedAt } where each failure is
+// { index, args, expected, actual, error }.
+export async function verifyTool(tool, sandboxOptions = {}, runTool = null) {
+    const examples = Array.isArray(tool.examples) ? tool.examples : [];
+    const failures = [];
+
+    for (const [index, example] of examples.entries()) {
+        const validation = validateToolArguments(tool.parameters, example?.args ?? {});
+        if (!validation.valid) {
+            failures.push({ index, args: example?.args, expected: example?.expected, actual: null, error: `Invalid example arguments: ${validation.errors.join('; ')}` });
+            continue;
+        }
+        if (!tool.implementation && !runTool) {
+            continue; // Schema-only check for tools without code
+        }
+
+        try {
+            const result = runTool
+                ? await runTool(validation.args)
+                : (await runInSandbox(tool.implementation, validation.args, sandboxOptions)).result;
+            if (!isDeepEqual(result, example.expected)) {
+                failures.push({ index, args: example.args, expected: example.expected, actual: result, error: 'Result does not match the expected output.' });
+            }
+        } catch (error) {
+            failures.push({ index, args: example.args, expected: example.expected, actual: null, error: error.message });
+        }
+    }
+
+    return {
+        passed: failures.length === 0,
+        total: examples.length,
+        passedCount: examples.length - failures.length,
+        failures,
+        verifiedAt: new Date().toISOString(),
+    };
+}
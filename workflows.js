@@ -0,0 +1,106 @@
+// --- Composite Tools ---
+// A composite tool ({ type: 'composite' }) has no implementation of its own: it runs stored tools in order.
+// {
+//   "steps": [
+//     { "id": "fetch",   "tool": "<tool id>", "args": { "city": "$input.city" } },
+//     { "id": "convert", "tool": "<tool id>", "args": { "celsius": "$steps.fetch.temperature", "digits": 1 } }
+//   ],
+//   "output": { "city": "$input.city", "fahrenheit": "$steps.convert" }   (optional, defaults to the last step's result)
+// }
+// Argument values are used as written, except strings of the form "$input.<path>" (the composite's own
+// arguments) and "$steps.<step id>.<path>" (the result of an earlier step), which are replaced by the
+// value they point to, anywhere inside nested objects and arrays. A step may only reference steps listed
+// before it, so the steps form a DAG in dependency order.
+
+const REFERENCE_PATTERN = /^\$(input|steps)(?:\.(.+))?$/;
+const STEP_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+// Every "$input..." / "$steps..." reference in a mapping, as { source, path: [segments], text }
+export function collectReferences(value, references = []) {
+    if (typeof value === 'string') {
+        const match = REFERENCE_PATTERN.exec(value);
+        if (match) {
+            references.push({ source: match[1], path: match[2] ? match[2].split('.') : [], text: value });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectReferences(item, references));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectReferences(item, references));
+    }
+    return references;
+}
+
+// Replace the references in a mapping with values from `scope` ({ input, steps: { [id]: result } }).
+// Throws if a reference points at nothing.
+export function resolveReferences(value, scope) {
+    if (typeof value === 'string') {
+        const match = REFERENCE_PATTERN.exec(value);
+        if (!match) return value;
+        const path = match[2] ? match[2].split('.') : [];
+        const root = match[1] === 'input' ? scope.input : scope.steps;
+        const resolved = path.reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), root);
+        if (resolved === undefined) {
+            throw new Error(`'${value}' did not resolve to a value.`);
+        }
+        return resolved;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveReferences(item, scope));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveReferences(item, scope)]));
+    }
+    return value;
+}
+
+// Check the shape of a composite tool's steps and the references between them.
+// Whether the referenced tools exist is checked by ToolManager. Returns a list of problems.
+export function validateWorkflow(toolDefinition) {
+    const { steps, output, parameters } = toolDefinition;
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return ["Composite tools need a non-empty 'steps' array of { \"id\", \"tool\", \"args\" } objects."];
+    }
+
+    const errors = [];
+    const inputNames = Object.keys(parameters?.properties || {});
+    const seen = new Set();
+    const checkReferences = (value, where) => {
+        for (const reference of collectReferences(value)) {
+            if (reference.source === 'input' && reference.path.length > 0 && !inputNames.includes(reference.path[0])) {
+                errors.push(`${where}: '${reference.text}' refers to parameter '${reference.path[0]}', which is not defined in 'parameters.properties'.`);
+            }
+            if (reference.source === 'steps' && !seen.has(reference.path[0])) {
+                errors.push(`${where}: '${reference.text}' must refer to an earlier step (${seen.size > 0 ? [...seen].join(', ') : 'there is none'}).`);
+            }
+        }
+    };
+
+    steps.forEach((step, index) => {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            errors.push(`Step ${index} must be an object with 'id', 'tool' and 'args'.`);
+            return;
+        }
+        const where = `Step '${step.id ?? index}'`;
+        if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+            errors.push(`Step ${index} needs an 'id' made of letters, digits, '_' or '-', got ${JSON.stringify(step.id)}.`);
+        } else if (seen.has(step.id)) {
+            errors.push(`Step id '${step.id}' is used more than once.`);
+        }
+        if (typeof step.tool !== 'string' || !step.tool) {
+            errors.push(`${where} needs a 'tool' with the id of a stored tool.`);
+        }
+        if (step.args !== undefined && (!step.args || typeof step.args !== 'object' || Array.isArray(step.args))) {
+            errors.push(`${where}: 'args' must be an object mapping the tool's parameters to values or references.`);
+        } else {
+            checkReferences(step.args, where);
+        }
+        if (typeof step.id === 'string') {
+            seen.add(step.id);
+        }
+    });
+
+    if (output !== undefined) {
+        checkReferences(output, "'output'");
+    }
+    return errors;
+}